@@ -1,39 +1,221 @@
 import fs from 'fs';
+import { once } from 'events';
+import { pipeline, finished } from 'stream';
+import ExcelJS from 'exceljs';
+import Parser from 'stream-json/Parser.js';
+import Pick from 'stream-json/filters/Pick.js';
+import Replace from 'stream-json/filters/Replace.js';
+import StreamArray from 'stream-json/streamers/StreamArray.js';
+import Assembler from 'stream-json/Assembler.js';
 
 /**
  * Converts Elasticsearch output to tabular format.
- * Supports (1) aggregation responses and (2) non-aggregated search hits.
- * For hits: columns are _id plus each _source field; non-scalar fields are JSON strings.
+ * Supports (1) aggregation responses, (2) non-aggregated search hits,
+ * (3) ES|QL and SQL responses (columns with values/rows) and (4) multi-search
+ * responses, combined into one table with a label column (failed searches are skipped).
+ * For hits: columns are _id plus each _source field; non-scalar fields are JSON strings
+ * unless `flatten` is set.
  *
  * @param {Object} esOutput - The Elasticsearch response (aggregations or hits)
  * @param {Object} options - Configuration options
+ * @param {string} [options.aggregationName] - Top-level aggregation to process (defaults to the first)
+ * @param {boolean} [options.allAggregations] - Process every top-level aggregation as siblings;
+ *   top-level metrics next to bucket aggregations go in one row of their own
+ * @param {string} [options.siblings] - How sibling bucket aggregations are combined:
+ *   'separate' (default, one row group per sibling), 'cross' (cross join) or 'stack' (shared schema)
+ * @param {string} [options.siblingMetrics] - How sibling pipeline aggregations (max_bucket, stats_bucket, ...)
+ *   next to bucket aggregations are written: 'columns' (default), 'rows' (summary rows) or 'ignore'.
+ *   Plain metrics next to bucket aggregations are left out
+ * @param {boolean} [options.flatten] - Hits: flatten nested _source objects into dotted columns
+ * @param {string} [options.explode] - Hits: dotted path of an array field to explode into rows
+ * @param {boolean|Array<string>} [options.hitMetadata] - Hits: add _index, _score, sort, fields,
+ *   highlight and inner_hits columns
+ * @param {Object} [options.mapping] - Hits: index mapping that determines the column order
+ * @param {boolean|Object} [options.rollup] - Add a subtotal row after the rows of every parent bucket
+ *   and a grand-total row, taken from the buckets' own doc_count and metrics. true, or
+ *   {marker: '_total_', grandTotal: true}; the marker goes in the path columns below the bucket
+ * @param {boolean|Object} [options.fillGaps] - Insert the empty buckets of histogram and
+ *   date_histogram aggregations (true, or the options of fillHistogramGaps)
+ * @param {Object} [options.pivot] - Turn the values of one column into columns (see pivotTable)
+ * @param {string} [options.labelColumn='label'] - Multi-search: name of the column holding each search's label
  * @returns {Array<Object>} Array of row objects with column names as keys
  */
 export function esToTable(esOutput, options = {}) {
+  if (isMultiSearchResponse(esOutput)) {
+    const labelColumn = options.labelColumn || 'label';
+    const rows = multiSearchTables(esOutput, { ...options, pivot: undefined })
+      .flatMap(({ label, rows: tableRows }) => tableRows.map(row => ({ [labelColumn]: label, ...row })));
+    return options.pivot ? pivotTable(rows, pivotOptions(options)) : rows;
+  }
+
+  const response = options.fillGaps
+    ? fillHistogramGaps(esOutput, { query: options.query, ...(options.fillGaps === true ? {} : options.fillGaps) })
+    : esOutput;
+  // Rollups collect the path columns seen while processing, for the total rows
+  const rows = esToLongTable(response, options.rollup ? { ...options, pathColumns: new Set() } : options);
+  return options.pivot ? pivotTable(rows, pivotOptions(options)) : rows;
+}
+
+/**
+ * esToTable() without gap filling and pivot: one row per leaf bucket (or hit)
+ */
+function esToLongTable(esOutput, options) {
   const { aggregations } = esOutput;
   const hits = esOutput.hits?.hits;
 
+  if (isTabularResponse(esOutput)) {
+    const names = esOutput.columns.map(c => c.name);
+    return (esOutput.values || esOutput.rows).map(values => tabularRow(names, values));
+  }
+
   if (aggregations && Object.keys(aggregations).length > 0) {
+    if (options.allAggregations) {
+      // Treat the top-level aggregations like the contents of a root bucket
+      const rows = [...processBucketContents(aggregations, options, []), ...topLevelMetricRows(aggregations, options)];
+      return options.rollup ? [...rows, ...grandTotalRows(esOutput, options)] : rows;
+    }
+
     const aggName = options.aggregationName || Object.keys(aggregations)[0];
     const aggregation = aggregations[aggName];
     if (!aggregation) {
       throw new Error(`Aggregation "${aggName}" not found`);
     }
+    if (aggregation.buckets === undefined && !isSingleBucketAggregation(aggregation)) {
+      // Top-level metric aggregation: a single row of metric columns
+      return [createRowFromBucket({ [aggName]: aggregation }, [])];
+    }
     const processOptions = {
       ...options,
       topLevelAggregationName: aggName,
       filterColumnName: options.filterColumnName || aggName
     };
-    return processAggregation(aggregation, processOptions);
+    const rows = processAggregation(aggregation, processOptions);
+    // Top-level sibling pipeline aggregations (max_bucket, stats_bucket, ...) next to the bucket aggregation
+    const withMetrics = applySiblingMetrics(rows, findSiblingPipelines(aggregations, options), [], options.siblingMetrics);
+    return options.rollup ? [...withMetrics, ...grandTotalRows(esOutput, options)] : withMetrics;
   }
 
   if (Array.isArray(hits) && hits.length > 0) {
-    return hitsToTable(hits);
+    return hitsToTable(hits, options);
   }
 
   throw new Error('No aggregations or hits found in Elasticsearch output');
 }
 
+/**
+ * Converts Elasticsearch output to one table per top-level aggregation,
+ * e.g. for multi-sheet exports. Raw hits are returned as a single `hits` table.
+ *
+ * @param {Object} esOutput - The Elasticsearch response (aggregations or hits)
+ * @param {Object} options - Same options as esToTable
+ * @returns {Object<string, Array<Object>>} Map of table name to rows
+ */
+export function esToTables(esOutput, options = {}) {
+  const { aggregations } = esOutput;
+
+  if (isMultiSearchResponse(esOutput)) {
+    return Object.fromEntries(multiSearchTables(esOutput, options).map(({ label, rows }) => [label, rows]));
+  }
+
+  if (aggregations && Object.keys(aggregations).length > 0) {
+    const tables = {};
+    for (const aggName of Object.keys(aggregations)) {
+      tables[aggName] = esToTable(esOutput, { ...options, aggregationName: aggName, allAggregations: false });
+    }
+    return tables;
+  }
+
+  return { [isTabularResponse(esOutput) ? 'results' : 'hits']: esToTable(esOutput, options) };
+}
+
+/**
+ * True if the response is a multi-search (`_msearch`) response
+ */
+function isMultiSearchResponse(esOutput) {
+  return Array.isArray(esOutput.responses);
+}
+
+/**
+ * Labels of the searches of a multi-search response: the label stored with the
+ * response, else its index, else `search_<n>`; repeated labels get a `_2`, `_3`, ... suffix
+ */
+function multiSearchLabels(esOutput) {
+  const used = new Set();
+  return esOutput.responses.map((response, i) => {
+    const base = String(response.label || response.index || `search_${i + 1}`);
+    let label = base;
+    for (let n = 2; used.has(label); n++) {
+      label = `${base}_${n}`;
+    }
+    used.add(label);
+    return label;
+  });
+}
+
+/**
+ * Converts every successful search of a multi-search response. Searches without
+ * aggregations or hits give empty tables.
+ * @returns {Array<{label: string, rows: Array<Object>}>}
+ */
+function multiSearchTables(esOutput, options) {
+  const labels = multiSearchLabels(esOutput);
+  return esOutput.responses
+    .map((response, i) => ({ label: labels[i], response }))
+    .filter(({ response }) => !response.error)
+    .map(({ label, response }) => ({ label, rows: hasTableData(response) ? esToTable(response, options) : [] }));
+}
+
+/**
+ * Lists the failed searches of a multi-search response
+ * @param {Object} esOutput - The `_msearch` response
+ * @returns {Array<{label: string, status: number, error: string}>} One entry per failed search
+ *   (empty for other responses)
+ */
+export function getMultiSearchErrors(esOutput) {
+  if (!isMultiSearchResponse(esOutput)) {
+    return [];
+  }
+  const labels = multiSearchLabels(esOutput);
+  return esOutput.responses
+    .map((response, i) => ({ label: labels[i], response }))
+    .filter(({ response }) => response.error)
+    .map(({ label, response }) => ({
+      label,
+      status: response.status,
+      error: response.error.root_cause?.[0]?.reason || response.error.reason || JSON.stringify(response.error)
+    }));
+}
+
+/**
+ * True if the response has something to convert (aggregations, hits or ES|QL/SQL rows)
+ */
+function hasTableData(esOutput) {
+  return (esOutput.aggregations && Object.keys(esOutput.aggregations).length > 0) ||
+    (Array.isArray(esOutput.hits?.hits) && esOutput.hits.hits.length > 0) ||
+    isTabularResponse(esOutput);
+}
+
+/**
+ * True if the response is an ES|QL (`columns` + `values`) or SQL (`columns` + `rows`) result
+ */
+function isTabularResponse(esOutput) {
+  return Array.isArray(esOutput.columns) && (Array.isArray(esOutput.values) || Array.isArray(esOutput.rows));
+}
+
+/**
+ * Builds a row from one ES|QL/SQL value list. Every column is present and keeps its
+ * JSON type; multi-valued fields are JSON strings.
+ * @param {Array<string>} names - Column names, in response order
+ * @param {Array} values - Values of one row
+ */
+function tabularRow(names, values) {
+  const row = {};
+  names.forEach((name, i) => {
+    row[name] = valueToCell(values[i] ?? null);
+  });
+  return row;
+}
+
 /**
  * True if value is scalar (null, boolean, number, string).
  */
@@ -49,34 +231,34 @@ function valueToCell(v) {
   return JSON.stringify(v);
 }
 
+/**
+ * Metadata columns that can be added to raw hit rows (`hitMetadata` option)
+ */
+export const HIT_METADATA = ['_index', '_score', 'sort', 'fields', 'highlight', 'inner_hits'];
+
 /**
  * Build tabular rows from raw search hits.
- * Columns: _id, then each _source key (first-seen order). Non-scalar fields as JSON.
+ * Columns: _id, optional hit metadata, then each _source key (first-seen order, or
+ * mapping order when a mapping is given). Non-scalar fields as JSON unless flattened.
  *
  * @param {Array<Object>} hits - hits.hits from ES response
+ * @param {Object} [options]
+ * @param {boolean} [options.flatten] - Flatten nested objects into dotted columns (user.geo.city)
+ * @param {string} [options.explode] - Dotted path of an array field to explode into one row per element
+ * @param {boolean|Array<string>} [options.hitMetadata] - Add _index, _score, sort, fields, highlight
+ *   and inner_hits columns (true for all, or a list of them)
+ * @param {Object} [options.mapping] - Index mapping used to order the _source columns
  * @returns {Array<Object>} Array of row objects
  */
-function hitsToTable(hits) {
-  const colList = ['_id'];
-  const seen = new Set(['_id']);
-  for (const h of hits) {
-    const src = h._source || {};
-    for (const k of Object.keys(src)) {
-      if (!seen.has(k)) {
-        seen.add(k);
-        colList.push(k);
-      }
-    }
-  }
+function hitsToTable(hits, options = {}) {
+  const records = hits.flatMap(hit => hitToRecords(hit, options));
+  const colList = orderHitColumns(collectColumns(records), options);
 
-  const rows = hits.map((hit) => {
+  const rows = records.map((record) => {
     const row = {};
-    row._id = hit._id;
-    const src = hit._source || {};
     for (const c of colList) {
-      if (c === '_id') continue;
-      const v = src[c];
-      row[c] = v === undefined ? '' : valueToCell(v);
+      const v = record[c];
+      row[c] = v === undefined ? '' : v;
     }
     return row;
   });
@@ -84,6 +266,177 @@ function hitsToTable(hits) {
   return rows;
 }
 
+/**
+ * Converts one hit into one record (or one per element of the exploded array)
+ * @param {Object} hit - A single hit
+ * @param {Object} options - Same options as hitsToTable
+ * @returns {Array<Object>} Records keyed by column name
+ */
+function hitToRecords(hit, options = {}) {
+  const base = { _id: hit._id, ...hitMetadataToRecord(hit, options.hitMetadata) };
+  const src = hit._source || {};
+
+  if (!options.explode) {
+    return [{ ...base, ...sourceToRecord(src, '', options.flatten) }];
+  }
+
+  // Explode: the array is removed from the source and each element gets its own row
+  const segments = options.explode.split('.');
+  const exploded = getPath(src, segments);
+  const values = exploded === undefined ? [] : Array.isArray(exploded) ? exploded : [exploded];
+  const rest = sourceToRecord(omitPath(src, segments), '', options.flatten);
+  if (values.length === 0) {
+    // Keep hits with a missing or empty array, with empty exploded columns
+    return [{ ...base, ...rest }];
+  }
+  return values.map(value => {
+    const element = options.flatten && isPlainObject(value)
+      ? sourceToRecord(value, options.explode, true)
+      : { [options.explode]: valueToCell(value) };
+    return { ...base, ...rest, ...element };
+  });
+}
+
+/**
+ * Converts _source to a record: top-level keys with non-scalars as JSON, or
+ * (when flattening) one dotted column per leaf value. Arrays are kept as JSON.
+ */
+function sourceToRecord(src, prefix, flatten) {
+  const record = {};
+  for (const [k, v] of Object.entries(src)) {
+    const name = prefix ? `${prefix}.${k}` : k;
+    if (flatten && isPlainObject(v) && Object.keys(v).length > 0) {
+      Object.assign(record, sourceToRecord(v, name, true));
+    } else {
+      record[name] = valueToCell(v);
+    }
+  }
+  return record;
+}
+
+/**
+ * Builds the metadata columns of a hit
+ * @param {Object} hit - A single hit
+ * @param {boolean|Array<string>} [hitMetadata] - true for all metadata, or a list of names
+ */
+function hitMetadataToRecord(hit, hitMetadata) {
+  const record = {};
+  if (!hitMetadata) return record;
+  const wanted = hitMetadata === true ? HIT_METADATA : hitMetadata;
+
+  for (const meta of wanted) {
+    if (!HIT_METADATA.includes(meta)) {
+      throw new Error(`Unknown hit metadata "${meta}" (expected ${HIT_METADATA.join(', ')})`);
+    }
+    const value = hit[meta];
+    if (meta === '_index' || meta === '_score') {
+      record[meta] = value === undefined ? null : value;
+    } else if (meta === 'sort') {
+      record._sort = value === undefined ? null : valueToCell(value);
+    } else if (meta === 'fields' || meta === 'highlight') {
+      // One column per field; single values unwrapped, highlight fragments joined
+      for (const [field, v] of Object.entries(value || {})) {
+        const cell = meta === 'highlight' && Array.isArray(v) ? v.join(' ... ') : v;
+        record[`${meta}.${field}`] = Array.isArray(cell) && cell.length === 1 ? valueToCell(cell[0]) : valueToCell(cell);
+      }
+    } else if (meta === 'inner_hits') {
+      // One column per inner_hits name holding the inner hits' _source as JSON
+      for (const [name, inner] of Object.entries(value || {})) {
+        record[`inner_hits.${name}`] = JSON.stringify((inner.hits?.hits || []).map(h => h._source ?? h.fields ?? {}));
+      }
+    }
+  }
+  return record;
+}
+
+/**
+ * Orders raw hit columns: _id and metadata first, then _source columns in
+ * mapping order (if a mapping is given), unmapped columns last in first-seen order
+ */
+function orderHitColumns(columns, options = {}) {
+  const isMeta = c => c === '_id' || c === '_index' || c === '_score' || c === '_sort' ||
+    c.startsWith('fields.') || c.startsWith('highlight.') || c.startsWith('inner_hits.');
+  const metaColumns = columns.filter(isMeta);
+  const sourceColumns = columns.filter(c => !isMeta(c));
+  if (!options.mapping) {
+    return [...metaColumns, ...sourceColumns];
+  }
+
+  const mappingOrder = new Map(mappingFieldPaths(options.mapping).map((p, i) => [p, i]));
+  const position = c => (mappingOrder.has(c) ? mappingOrder.get(c) : Infinity);
+  // Array.prototype.sort is stable, so unmapped columns keep their first-seen order
+  return [...metaColumns, ...[...sourceColumns].sort((a, b) => position(a) - position(b))];
+}
+
+/**
+ * Lists field paths of an index mapping in mapping order, including object
+ * paths (user, user.geo, user.geo.city). Accepts a `_mapping` response,
+ * a `{ mappings }` object or a `{ properties }` object.
+ * @param {Object} mapping - Elasticsearch mapping
+ * @returns {Array<string>} Field paths
+ */
+function mappingFieldPaths(mapping) {
+  const paths = [];
+  const seen = new Set();
+  const walk = (properties, prefix) => {
+    for (const [name, def] of Object.entries(properties || {})) {
+      const fieldPath = prefix ? `${prefix}.${name}` : name;
+      if (!seen.has(fieldPath)) {
+        seen.add(fieldPath);
+        paths.push(fieldPath);
+      }
+      if (def && def.properties) {
+        walk(def.properties, fieldPath);
+      }
+    }
+  };
+
+  if (mapping.properties) {
+    walk(mapping.properties, '');
+  } else if (mapping.mappings) {
+    walk(mapping.mappings.properties, '');
+  } else {
+    // _mapping response: { <index>: { mappings: { properties } } }
+    for (const indexMapping of Object.values(mapping)) {
+      walk(indexMapping?.mappings?.properties, '');
+    }
+  }
+  return paths;
+}
+
+/**
+ * True for plain objects (not null, not arrays)
+ */
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Reads a nested value by path segments
+ */
+function getPath(obj, segments) {
+  let current = obj;
+  for (const segment of segments) {
+    if (!isPlainObject(current)) return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Returns a copy of obj without the value at the given path segments; parent
+ * objects left empty by the removal are dropped too
+ */
+function omitPath(obj, segments) {
+  if (!isPlainObject(obj) || !(segments[0] in obj)) return obj;
+  const [head, ...rest] = segments;
+  const { [head]: value, ...others } = obj;
+  if (rest.length === 0) return others;
+  const remaining = omitPath(value, rest);
+  if (isPlainObject(value) && Object.keys(remaining).length === 0) return others;
+  return { ...others, [head]: remaining };
+}
+
 /**
  * Recursively processes an aggregation structure
  * @param {Object} agg - The aggregation object
@@ -93,239 +446,1340 @@ function hitsToTable(hits) {
 function processAggregation(agg, options = {}, path = []) {
   const results = [];
 
-  // Handle filters aggregation (buckets object)
+  // Handle filters aggregation and keyed range aggregations (buckets object)
   if (agg.buckets && typeof agg.buckets === 'object' && !Array.isArray(agg.buckets)) {
-    // This is a filters aggregation
+    // This is a filters aggregation, or a range/date_range/ip_range with keyed: true
     // For filters, we use the current aggregation name if available (for nested filters),
     // otherwise fall back to filterColumnName (top-level) or a generic 'filter'
     const bucketNames = Object.keys(agg.buckets);
+    // For filters aggregation, use a descriptive column name
+    // Prefer currentAggregationName for nested filters aggregations
+    const columnName = options.currentAggregationName || options.filterColumnName || 'filter';
+    const bucketColumns = getBucketColumns(agg, columnName, options);
     
     for (const bucketName of bucketNames) {
       const bucket = agg.buckets[bucketName];
-      // For filters aggregation, use a descriptive column name
-      // Prefer currentAggregationName for nested filters aggregations
-      const columnName = options.currentAggregationName || options.filterColumnName || 'filter';
-      const newPath = [...path, { column: columnName, value: bucketName }];
-      
-      // Check if this bucket has nested aggregations
-      const nestedAggs = findNestedAggregations(bucket);
-      
-      if (nestedAggs.length > 0) {
-        // Process nested aggregations, passing the aggregation name
-        for (const { name, aggregation } of nestedAggs) {
-          const nestedOptions = { ...options, currentAggregationName: name };
-          const nestedResults = processAggregation(aggregation, nestedOptions, newPath);
-          results.push(...nestedResults);
-        }
-      } else {
-        // Leaf bucket - create a row
-        const row = createRowFromBucket(bucket, newPath);
-        results.push(row);
-      }
+      const newPath = bucketColumns.range
+        ? [...path, ...getBucketPathItems({ key: bucketName, ...bucket }, columnName, bucketColumns)]
+        : [...path, { column: columnName, value: bucketName }];
+      results.push(...processBucketContents(bucket, options, newPath));
     }
   }
   // Handle terms aggregation (buckets array)
   else if (agg.buckets && Array.isArray(agg.buckets)) {
-    // This is a terms aggregation
+    // This is a terms aggregation (or histogram, range, composite, ...)
     // The aggregation name should be passed from parent, but if not, we'll use a default
     const aggregationName = options.currentAggregationName || options.topLevelAggregationName || options.aggregationName || 'aggregation';
+    const bucketColumns = getBucketColumns(agg, aggregationName, options);
     
     for (const bucket of agg.buckets) {
       // Include the bucket's key in the path with the aggregation name as column
       // Prefer key_as_string over key if both exist
-      const bucketKey = getBucketKey(bucket);
-      const newPath = bucketKey !== undefined 
-        ? [...path, { column: aggregationName, value: bucketKey }]
-        : [...path];
-      
-      // Check if this bucket has nested aggregations
-      const nestedAggs = findNestedAggregations(bucket);
-      
-      if (nestedAggs.length > 0) {
-        // Process nested aggregations, passing the aggregation name as currentAggregationName
-        for (const { name, aggregation } of nestedAggs) {
-          const nestedOptions = { ...options, currentAggregationName: name };
-          const nestedResults = processAggregation(aggregation, nestedOptions, newPath);
-          results.push(...nestedResults);
-        }
-      } else {
-        // Leaf bucket - create a row
-        const row = createRowFromBucket(bucket, newPath);
-        results.push(row);
-      }
+      const newPath = [...path, ...getBucketPathItems(bucket, aggregationName, bucketColumns)];
+      results.push(...processBucketContents(bucket, options, newPath));
     }
     
     // Add "_other_" row if there are documents not captured in top N buckets
     if (agg.sum_other_doc_count > 0) {
-      const otherPath = [...path, { column: aggregationName, value: '_other_' }];
-      const otherRow = createRowFromBucket({ doc_count: agg.sum_other_doc_count }, otherPath);
-      results.push(otherRow);
+      results.push(createOtherRow(agg, agg.buckets[0], aggregationName, bucketColumns, path));
     }
   }
+  // Handle single-bucket aggregation (filter, nested, reverse_nested, global, sampler, missing)
+  // that wraps further bucket aggregations: carry its doc_count and keep descending
+  else if (isSingleBucketAggregation(agg)) {
+    const aggregationName = options.currentAggregationName || options.topLevelAggregationName || options.aggregationName || 'aggregation';
+    const newPath = [...path, { column: aggregationName, value: agg.doc_count }];
+    results.push(...processBucketContents(agg, options, newPath));
+  }
 
   return results;
 }
 
 /**
- * Gets the preferred key value from a bucket
- * Prefers key_as_string over key if both exist
+ * Builds the "_other_" row of a terms-like aggregation: the documents outside the
+ * top N buckets (sum_other_doc_count)
+ * @param {Object} agg - The aggregation object
+ * @param {Object} [firstBucket] - Its first bucket; for multi_terms the marker goes in
+ *   the first field's column
+ * @param {string} aggregationName - Column name for the bucket key
+ * @param {Object} bucketColumns - Result of getBucketColumns()
+ * @param {Array} path - Path of the parent bucket
+ */
+function createOtherRow(agg, firstBucket, aggregationName, bucketColumns, path) {
+  const otherColumn = Array.isArray(firstBucket?.key)
+    ? getBucketPathItems(firstBucket, aggregationName, bucketColumns)[0].column
+    : aggregationName;
+  return createRowFromBucket({ doc_count: agg.sum_other_doc_count }, [...path, { column: otherColumn, value: '_other_' }]);
+}
+
+/**
+ * Processes the contents of a single bucket: recurses into nested aggregations,
+ * or creates a row if this is a leaf bucket
  * @param {Object} bucket - The bucket object
- * @returns {*} The key value (key_as_string if available, otherwise key)
+ * @param {Object} options - Options
+ * @param {Array} path - Path including this bucket's own column
  */
-function getBucketKey(bucket) {
-  if (bucket.key_as_string !== undefined) {
-    return bucket.key_as_string;
+function processBucketContents(bucket, options, path) {
+  if (options.pathColumns) {
+    path.forEach(p => options.pathColumns.add(p.column));
   }
-  return bucket.key;
+
+  // Check if this bucket has nested aggregations
+  const nestedAggs = findNestedAggregations(bucket);
+
+  if (nestedAggs.length === 0) {
+    // Leaf bucket - create a row
+    return [createRowFromBucket(bucket, path)];
+  }
+
+  // Process nested aggregations, passing the aggregation name as currentAggregationName
+  const groups = nestedAggs.map(({ name, aggregation }) => {
+    const nestedOptions = { ...options, currentAggregationName: name };
+    return { name, rows: processAggregation(aggregation, nestedOptions, path) };
+  });
+  const rows = combineSiblingRows(groups, path, options.siblings);
+  const withMetrics = applySiblingMetrics(rows, findSiblingPipelines(bucket, options), path, options.siblingMetrics);
+  if (!options.rollup || path.length === 0) {
+    return withMetrics;
+  }
+
+  // Subtotal from the bucket itself: the child path columns get the marker
+  const ownColumns = new Set(path.map(p => p.column));
+  const childColumns = collectColumns(rows).filter(c => options.pathColumns.has(c) && !ownColumns.has(c));
+  return [...withMetrics, createTotalRow(bucket, path, childColumns, options.rollup)];
 }
 
 /**
- * Finds nested aggregations in a bucket
- * Returns array of {name, aggregation} objects
+ * Builds a total row: the path, the marker (`_total_`) in the given columns below
+ * it, and the bucket's own doc_count and metrics
+ * @param {Object} bucket - The bucket (or response level) the totals come from
+ * @param {Array} path - Path of the bucket
+ * @param {Array<string>} columns - Path columns below the bucket
+ * @param {boolean|Object} rollup - The rollup option
  */
-function findNestedAggregations(bucket) {
-  const nestedAggs = [];
-  
-  // Look for nested aggregation structures
-  for (const key in bucket) {
-    if (key !== 'key' && key !== 'key_as_string' && key !== 'doc_count' && key !== 'doc_count_error_upper_bound' && 
-        key !== 'sum_other_doc_count' && typeof bucket[key] === 'object' && bucket[key] !== null) {
-      // Check if this looks like an aggregation (has buckets property)
-      const obj = bucket[key];
-      if (obj.buckets !== undefined) {
-        nestedAggs.push({ name: key, aggregation: obj });
-      }
-    }
-  }
-  
-  return nestedAggs;
+function createTotalRow(bucket, path, columns, rollup) {
+  const marker = (isPlainObject(rollup) && rollup.marker) || '_total_';
+  return createRowFromBucket(bucket, [...path, ...columns.map(column => ({ column, value: marker }))]);
 }
 
 /**
- * Finds metric aggregations in a bucket (filter aggs, value_count, sum, avg, etc.)
- * These are objects with doc_count or value but no buckets property.
- * Returns array of {name, value} objects.
+ * The grand-total row of a rollup (none if disabled with grandTotal: false): the
+ * response's hits.total as doc_count, plus the top-level metrics. A total that is
+ * only a lower bound (relation `gte`) or not tracked at all (track_total_hits: false)
+ * leaves doc_count empty; a lower bound goes in `doc_count_lower_bound` instead.
+ * @param {Object} esOutput - The Elasticsearch response
+ * @param {Object} options - esToTable options, with the path columns seen
+ * @returns {Array<Object>} Zero or one rows
  */
-function findMetricAggregations(bucket) {
-  const metrics = [];
-  const skipKeys = new Set(['key', 'key_as_string', 'doc_count', 'doc_count_error_upper_bound', 'sum_other_doc_count']);
-  
-  for (const key in bucket) {
-    if (skipKeys.has(key)) continue;
-    const obj = bucket[key];
-    if (obj && typeof obj === 'object' && obj !== null && !Array.isArray(obj)) {
-      // It's an object - check if it's a metric aggregation (no buckets)
-      if (obj.buckets === undefined) {
-        // This is a metric aggregation (filter, value_count, sum, avg, cardinality, etc.)
-        // Extract the most relevant value
-        if (obj.doc_count !== undefined) {
-          // Filter aggregation
-          metrics.push({ name: key, value: obj.doc_count });
-        } else if (obj.value !== undefined) {
-          // Value metric (sum, avg, min, max, cardinality, value_count, etc.)
-          metrics.push({ name: key, value: obj.value });
-        }
-      }
-    }
+function grandTotalRows(esOutput, options) {
+  if (isPlainObject(options.rollup) && options.rollup.grandTotal === false) {
+    return [];
   }
-  
-  return metrics;
+  const total = esOutput.hits?.total;
+  const exact = typeof total === 'number' || (isPlainObject(total) && (total.relation ?? 'eq') === 'eq');
+  const metrics = findMetricAggregations(esOutput.aggregations);
+  const totals = Object.fromEntries(metrics.map(({ name, value }) => [name, value]));
+  const docCount = !exact ? null : isPlainObject(total) ? total.value : total;
+  const row = createTotalRow({ doc_count: docCount }, [], [...options.pathColumns], options.rollup);
+  const lowerBound = isPlainObject(total) && total.relation === 'gte' ? { doc_count_lower_bound: total.value } : {};
+  return [{ ...row, ...lowerBound, ...totals }];
 }
 
 /**
- * Creates a row object from a bucket
- * @param {Object} bucket - The bucket object
- * @param {Array} path - Array of {column, value} objects
+ * Adds the sibling pipeline aggregations (max_bucket, percentiles_bucket, ...) that
+ * sit next to bucket aggregations to the rows produced by those bucket aggregations
+ * @param {Array<Object>} rows - Rows produced below the bucket
+ * @param {Array<{name: string, value: *}>} metrics - Metrics found at the bucket level
+ * @param {Array} path - Path of the bucket
+ * @param {string} [mode='columns'] - 'columns' (repeat on every row), 'rows' (one summary row) or 'ignore'
+ * @returns {Array<Object>} Rows including the metrics
  */
-function createRowFromBucket(bucket, path) {
-  const row = {};
-  
-  // Add path elements as columns using the column names from path
-  for (const pathItem of path) {
-    if (pathItem && typeof pathItem === 'object' && pathItem.column && pathItem.value !== undefined) {
-      row[pathItem.column] = pathItem.value;
-    } else if (typeof pathItem === 'string') {
-      // Fallback for old format (shouldn't happen, but handle gracefully)
-      row[`level_${path.length}`] = pathItem;
-    }
+function applySiblingMetrics(rows, metrics, path, mode = 'columns') {
+  if (metrics.length === 0 || mode === 'ignore') {
+    return rows;
   }
-  
-  // Add bucket key if present and not already in path
-  // (for leaf buckets in terms aggregations, the key is already in the path)
-  // Prefer key_as_string over key if both exist
-  const bucketKey = getBucketKey(bucket);
-  if (bucketKey !== undefined) {
-    const lastPathItem = path.length > 0 ? path[path.length - 1] : null;
-    if (!lastPathItem || lastPathItem.value !== bucketKey) {
-      // Key not in path, add it with a generic column name
-      row['key'] = bucketKey;
+
+  if (mode === 'columns') {
+    for (const row of rows) {
+      for (const { name, value } of metrics) {
+        // Don't overwrite a column produced further down the tree
+        if (!(name in row)) {
+          row[name] = value;
+        }
+      }
     }
+    return rows;
   }
-  
-  // Add doc_count if present
-  if (bucket.doc_count !== undefined) {
-    row['doc_count'] = bucket.doc_count;
-  }
-  
-  // Add metric aggregations (filter aggs, sum, avg, etc.) as columns
-  const metrics = findMetricAggregations(bucket);
-  for (const { name, value } of metrics) {
-    row[name] = value;
+
+  if (mode === 'rows') {
+    const summaryRow = createRowFromBucket({}, path);
+    for (const { name, value } of metrics) {
+      summaryRow[name] = value;
+    }
+    return [...rows, summaryRow];
   }
-  
-  return row;
+
+  throw new Error(`Unknown siblingMetrics mode "${mode}" (expected ${SIBLING_METRICS_MODES.join(', ')})`);
 }
 
 /**
- * Converts table data to CSV format
+ * Ways to combine sibling bucket aggregations (`siblings` option)
  */
-export function tableToCSV(table, options = {}) {
-  if (table.length === 0) {
-    return '';
-  }
+export const SIBLING_MODES = ['separate', 'cross', 'stack'];
 
-  const headers = Object.keys(table[0]);
-  const delimiter = options.delimiter || ',';
-  const includeHeaders = options.includeHeaders !== false;
+/**
+ * Ways to write sibling pipeline aggregations (`siblingMetrics` option)
+ */
+export const SIBLING_METRICS_MODES = ['columns', 'rows', 'ignore'];
 
-  let csv = '';
+/**
+ * Combines the rows produced by sibling bucket aggregations of one bucket
+ * @param {Array<{name: string, rows: Array<Object>}>} groups - Rows per sibling aggregation
+ * @param {Array} path - Path shared by all siblings
+ * @param {string} [mode='separate'] - 'separate', 'cross' or 'stack'
+ * @returns {Array<Object>} Combined rows
+ */
+function combineSiblingRows(groups, path, mode = 'separate') {
+  if (groups.length === 1 || mode === 'separate') {
+    return groups.flatMap(g => g.rows);
+  }
 
-  // Add headers
-  if (includeHeaders) {
-    csv += headers.map(h => escapeCSV(h)).join(delimiter) + '\n';
+  if (mode === 'stack') {
+    // Same rows as 'separate', but every row carries every column
+    return applySchema(groups.flatMap(g => g.rows)).rows;
   }
 
-  // Add rows
-  for (const row of table) {
-    csv += headers.map(h => escapeCSV(row[h] !== undefined && row[h] !== null ? row[h] : '')).join(delimiter) + '\n';
+  if (mode === 'cross') {
+    // Columns produced by more than one sibling (doc_count, shared metric names)
+    // are prefixed with the sibling aggregation name so they don't overwrite each other
+    const pathColumns = new Set(path.map(p => p.column));
+    const columnOwners = new Map();
+    for (const g of groups) {
+      for (const c of collectColumns(g.rows)) {
+        if (pathColumns.has(c)) continue;
+        columnOwners.set(c, (columnOwners.get(c) || 0) + 1);
+      }
+    }
+    const renamed = groups
+      .filter(g => g.rows.length > 0)
+      .map(g => g.rows.map(row => {
+        const out = {};
+        for (const [c, v] of Object.entries(row)) {
+          out[columnOwners.get(c) > 1 ? `${g.name}.${c}` : c] = v;
+        }
+        return out;
+      }));
+    return renamed.reduce(
+      (acc, rows) => acc.flatMap(left => rows.map(right => ({ ...left, ...right }))),
+      [{}]
+    );
   }
 
-  return csv;
+  throw new Error(`Unknown siblings mode "${mode}" (expected ${SIBLING_MODES.join(', ')})`);
 }
 
 /**
- * Escapes a value for CSV
+ * Union of the columns of all rows, in first-seen order
  */
-function escapeCSV(value) {
-  if (value === null || value === undefined) {
-    return '';
-  }
-  
-  const str = String(value);
-  
-  // If contains comma, newline, or quote, wrap in quotes and escape quotes
-  if (str.includes(',') || str.includes('\n') || str.includes('"')) {
-    return `"${str.replace(/"/g, '""')}"`;
+function collectColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    for (const c of Object.keys(row)) {
+      columns.add(c);
+    }
   }
-  
-  return str;
+  return [...columns];
 }
 
 /**
- * Main function to convert ES output file to CSV
+ * True if the object is a single-bucket aggregation result (filter, nested,
+ * reverse_nested, global, sampler, missing, ...) that contains bucket sub-aggregations.
+ * Single-bucket aggregations without sub-aggregations are treated as metrics (doc_count).
  */
-export function convertFile(inputPath, outputPath, options = {}) {
-  const esOutput = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+function isSingleBucketAggregation(obj) {
+  return obj.buckets === undefined && obj.doc_count !== undefined && findNestedAggregations(obj).length > 0;
+}
+
+/**
+ * Gets the preferred key value from a bucket
+ * Prefers key_as_string over key if both exist
+ * @param {Object} bucket - The bucket object
+ * @returns {*} The key value (key_as_string if available, otherwise key)
+ */
+function getBucketKey(bucket) {
+  if (bucket.key_as_string !== undefined) {
+    return bucket.key_as_string;
+  }
+  return bucket.key;
+}
+
+/**
+ * Builds the path items contributed by a bucket of a multi-bucket aggregation.
+ * Composite keys ({host: "a", day: 1700000000000}) become one column per source, and
+ * multi_terms keys (["a", 200]) one column per field (`<agg>_<field>`, or `<agg>_0`, ...).
+ * After the key come the extra columns of the aggregation type (see getBucketColumns):
+ * range bounds, adjacency_matrix filter pairs, geo grid cell bounds, the
+ * auto_date_histogram interval and significant_terms statistics.
+ * @param {Object} bucket - The bucket object
+ * @param {string} aggregationName - Column name for the bucket key
+ * @param {Object} [bucketColumns] - Result of getBucketColumns()
+ * @returns {Array} Array of {column, value} objects
+ */
+function getBucketPathItems(bucket, aggregationName, bucketColumns = {}) {
+  if (isCompositeKey(bucket.key)) {
+    return Object.entries(bucket.key).map(([source, value]) => ({ column: source, value }));
+  }
+  if (Array.isArray(bucket.key)) {
+    const fields = bucketColumns.multiTermsFields || [];
+    return bucket.key.map((value, i) => ({ column: `${aggregationName}_${fields[i] ?? i}`, value }));
+  }
+
+  const items = [];
+  const { range } = bucketColumns;
+  if (range) {
+    // Unbounded edges are written as null so every row has the same columns
+    items.push(
+      { column: aggregationName, value: bucket.key },
+      { column: `${aggregationName}_from`, value: bucket.from ?? null },
+      { column: `${aggregationName}_to`, value: bucket.to ?? null }
+    );
+    if (range.fromAsString) {
+      items.push({ column: `${aggregationName}_from_as_string`, value: bucket.from_as_string ?? null });
+    }
+    if (range.toAsString) {
+      items.push({ column: `${aggregationName}_to_as_string`, value: bucket.to_as_string ?? null });
+    }
+  } else {
+    const bucketKey = getBucketKey(bucket);
+    if (bucketKey !== undefined) {
+      items.push({ column: aggregationName, value: bucketKey });
+    }
+  }
+
+  if (bucketColumns.adjacencySeparator && typeof bucket.key === 'string') {
+    // A single filter is the diagonal of the matrix: the same name in both columns
+    const [a, b = a] = bucket.key.split(bucketColumns.adjacencySeparator);
+    items.push({ column: `${aggregationName}_a`, value: a }, { column: `${aggregationName}_b`, value: b });
+  }
+  if (bucketColumns.geoGrid) {
+    const cell = bucketColumns.geoGrid === 'geotile' ? decodeGeotile(bucket.key) : decodeGeohash(bucket.key);
+    for (const bound of ['min_lat', 'max_lat', 'min_lon', 'max_lon']) {
+      items.push({ column: `${aggregationName}_${bound}`, value: cell ? cell[bound] : null });
+    }
+  }
+  if (bucketColumns.interval) {
+    items.push({ column: `${aggregationName}_interval`, value: bucketColumns.interval });
+  }
+  if (bucket.score !== undefined && bucket.bg_count !== undefined) {
+    // significant_terms / significant_text
+    items.push(
+      { column: `${aggregationName}_score`, value: bucket.score },
+      { column: `${aggregationName}_bg_count`, value: bucket.bg_count }
+    );
+  }
+  return items;
+}
+
+/**
+ * geotile_grid keys: zoom/x/y
+ */
+const GEOTILE_KEY = /^\d{1,2}\/\d+\/\d+$/;
+
+/**
+ * geohash_grid keys: base32 geohashes
+ */
+const GEOHASH_KEY = /^[0-9b-hjkmnp-z]{1,12}$/;
+
+/**
+ * Works out which extra columns the buckets of a multi-bucket aggregation get
+ * (see getBucketPathItems). Types that only differ from terms by their keys
+ * (adjacency_matrix, geo grids) are taken from the aggregation's definition in
+ * `options.query` (the search request); keys alone are never guessed at, as a
+ * terms or filters key can look just like a geohash.
+ * @param {Object} agg - The aggregation object
+ * @param {string} aggregationName - Name of the aggregation
+ * @param {Object} [options] - esToTable options
+ * @returns {{range: Object|null, multiTermsFields: Array<string>|null, adjacencySeparator: string|null,
+ *   geoGrid: string|null, interval: string|null}}
+ */
+function getBucketColumns(agg, aggregationName, options = {}) {
+  const definition = findAggregationDefinition(options.query, aggregationName) || {};
+  return {
+    range: agg.buckets ? getRangeColumns(agg) : null,
+    multiTermsFields: definition.multi_terms?.terms?.map(t => t.field) || null,
+    adjacencySeparator: definition.adjacency_matrix ? definition.adjacency_matrix.separator || '&' : null,
+    geoGrid: definition.geotile_grid ? 'geotile' : definition.geohash_grid ? 'geohash' : null,
+    // auto_date_histogram reports the interval it picked
+    interval: typeof agg.interval === 'string' ? agg.interval : null
+  };
+}
+
+/**
+ * Finds the definition of an aggregation by name in a search request body
+ * @param {Object} [query] - Search request body (with `aggs` or `aggregations`)
+ * @param {string} name - Aggregation name
+ * @returns {Object|null} The aggregation definition ({ terms: {...}, aggs: {...} })
+ */
+function findAggregationDefinition(query, name) {
+  const aggs = query?.aggs || query?.aggregations;
+  if (!isPlainObject(aggs)) {
+    return null;
+  }
+  if (isPlainObject(aggs[name])) {
+    return aggs[name];
+  }
+  for (const definition of Object.values(aggs)) {
+    const found = findAggregationDefinition(definition, name);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decodes a geotile_grid key (zoom/x/y) into the bounds of the tile
+ * @returns {{min_lat: number, max_lat: number, min_lon: number, max_lon: number}|null}
+ */
+function decodeGeotile(key) {
+  if (!GEOTILE_KEY.test(String(key))) {
+    return null;
+  }
+  const [zoom, x, y] = String(key).split('/').map(Number);
+  const tiles = 2 ** zoom;
+  const lat = tileY => (Math.atan(Math.sinh(Math.PI * (1 - (2 * tileY) / tiles))) * 180) / Math.PI;
+  return {
+    min_lat: lat(y + 1),
+    max_lat: lat(y),
+    min_lon: (x / tiles) * 360 - 180,
+    max_lon: ((x + 1) / tiles) * 360 - 180
+  };
+}
+
+/**
+ * Decodes a geohash into the bounds of its cell
+ * @returns {{min_lat: number, max_lat: number, min_lon: number, max_lon: number}|null}
+ */
+function decodeGeohash(key) {
+  const alphabet = '0123456789bcdefghjkmnpqrstuvwxyz';
+  if (!GEOHASH_KEY.test(String(key))) {
+    return null;
+  }
+  const lat = [-90, 90];
+  const lon = [-180, 180];
+  let even = true;
+  for (const char of String(key)) {
+    const bits = alphabet.indexOf(char);
+    for (let bit = 4; bit >= 0; bit--) {
+      // Bits alternate between longitude and latitude, starting with longitude
+      const range = even ? lon : lat;
+      const mid = (range[0] + range[1]) / 2;
+      range[(bits >> bit) & 1 ? 0 : 1] = mid;
+      even = !even;
+    }
+  }
+  return { min_lat: lat[0], max_lat: lat[1], min_lon: lon[0], max_lon: lon[1] };
+}
+
+/**
+ * Detects range, date_range and ip_range aggregations (keyed or not) by the
+ * from/to bounds on their buckets
+ * @param {Object} agg - The aggregation object
+ * @returns {{fromAsString: boolean, toAsString: boolean}|null} null if not a range aggregation
+ */
+function getRangeColumns(agg) {
+  const buckets = Array.isArray(agg.buckets) ? agg.buckets : Object.values(agg.buckets);
+  if (!buckets.some(b => b && (b.from !== undefined || b.to !== undefined))) {
+    return null;
+  }
+  return {
+    fromAsString: buckets.some(b => b.from_as_string !== undefined),
+    toAsString: buckets.some(b => b.to_as_string !== undefined)
+  };
+}
+
+/**
+ * True if a bucket key is a composite aggregation key (object of source values)
+ */
+function isCompositeKey(key) {
+  return key !== null && typeof key === 'object' && !Array.isArray(key);
+}
+
+/**
+ * Finds nested aggregations in a bucket
+ * Returns array of {name, aggregation} objects
+ */
+function findNestedAggregations(bucket) {
+  const nestedAggs = [];
+  
+  // Look for nested aggregation structures
+  for (const key in bucket) {
+    if (key !== 'key' && key !== 'key_as_string' && key !== 'doc_count' && key !== 'doc_count_error_upper_bound' && 
+        key !== 'sum_other_doc_count' && typeof bucket[key] === 'object' && bucket[key] !== null) {
+      // Check if this looks like an aggregation (has buckets property,
+      // or is a single-bucket aggregation wrapping one)
+      const obj = bucket[key];
+      if (obj.buckets !== undefined || isSingleBucketAggregation(obj)) {
+        nestedAggs.push({ name: key, aggregation: obj });
+      }
+    }
+  }
+  
+  return nestedAggs;
+}
+
+/**
+ * Finds metric aggregations in a bucket (filter aggs, value_count, sum, avg, etc.)
+ * These are objects with doc_count or value but no buckets property.
+ * Multi-value metrics (stats, percentiles, top_hits, ...) expand into several columns.
+ * Returns array of {name, value} objects.
+ */
+function findMetricAggregations(bucket) {
+  const metrics = [];
+  const skipKeys = new Set(['key', 'key_as_string', 'doc_count', 'doc_count_error_upper_bound', 'sum_other_doc_count']);
+  
+  for (const key in bucket) {
+    if (skipKeys.has(key)) continue;
+    const obj = bucket[key];
+    if (obj && typeof obj === 'object' && obj !== null && !Array.isArray(obj)) {
+      // It's an object - check if it's a metric aggregation (no buckets)
+      if (obj.buckets === undefined && !isSingleBucketAggregation(obj)) {
+        metrics.push(...flattenMetric(key, obj));
+      }
+    }
+  }
+  
+  return metrics;
+}
+
+/**
+ * Sibling pipeline aggregation types: they sit next to the bucket aggregation they read
+ */
+const SIBLING_PIPELINE_TYPES = [
+  'avg_bucket', 'max_bucket', 'min_bucket', 'sum_bucket', 'stats_bucket', 'extended_stats_bucket', 'percentiles_bucket'
+];
+
+/**
+ * Finds the sibling pipeline aggregations among the metrics of a bucket that also
+ * holds bucket aggregations. Their type comes from the definition in `options.query`;
+ * without one only max_bucket and min_bucket (the results with `keys`) are recognised.
+ * Other metrics at that level are left out, as the rows below carry their own.
+ * @param {Object} bucket - The bucket (or the top-level aggregations)
+ * @param {Object} options - esToTable options
+ * @returns {Array<{name: string, value: *}>}
+ */
+function findSiblingPipelines(bucket, options) {
+  return bucketMetrics(bucket)
+    .filter(([name, obj]) => isSiblingPipeline(name, obj, options))
+    .flatMap(([name, obj]) => flattenMetric(name, obj));
+}
+
+/**
+ * The metric aggregations of a bucket (no bucket aggregations), as [name, result] pairs
+ */
+function bucketMetrics(bucket) {
+  return Object.entries(bucket).filter(([name, obj]) =>
+    isPlainObject(obj) && name !== 'key' && obj.buckets === undefined && !isSingleBucketAggregation(obj)
+  );
+}
+
+/**
+ * True if a metric result comes from a sibling pipeline aggregation (see findSiblingPipelines)
+ */
+function isSiblingPipeline(name, obj, options) {
+  const definition = findAggregationDefinition(options.query, name);
+  return definition
+    ? SIBLING_PIPELINE_TYPES.some(type => definition[type] !== undefined)
+    : Array.isArray(obj.keys);
+}
+
+/**
+ * allAggregations: the top-level metric aggregations next to bucket aggregations,
+ * as one row of their own (sibling pipelines follow siblingMetrics instead).
+ * Without bucket aggregations the metrics already make up the table's only row.
+ * @param {Object} aggregations - The top-level aggregations
+ * @param {Object} options - esToTable options
+ * @returns {Array<Object>} Zero or one rows
+ */
+function topLevelMetricRows(aggregations, options) {
+  if (findNestedAggregations(aggregations).length === 0) {
+    return [];
+  }
+  const metrics = bucketMetrics(aggregations)
+    .filter(([name, obj]) => !isSiblingPipeline(name, obj, options))
+    .flatMap(([name, obj]) => flattenMetric(name, obj));
+  return metrics.length > 0 ? [Object.fromEntries(metrics.map(({ name, value }) => [name, value]))] : [];
+}
+
+/**
+ * Expands a single metric aggregation result into {name, value} columns.
+ * Single-value metrics keep the aggregation name; multi-value metrics
+ * produce dotted columns such as `latency.avg`, `latency.p95` or `geo.lat`.
+ * @param {string} name - Aggregation name
+ * @param {Object} obj - Aggregation result
+ * @returns {Array<{name: string, value: *}>}
+ */
+function flattenMetric(name, obj) {
+  // matrix_stats: per-field statistics (also carries doc_count, so check it first)
+  if (Array.isArray(obj.fields) && obj.doc_count !== undefined) {
+    const columns = [{ name: `${name}.doc_count`, value: obj.doc_count }];
+    for (const field of obj.fields) {
+      const { name: fieldName, ...stats } = field;
+      columns.push(...flattenObject(`${name}.${fieldName}`, stats));
+    }
+    return columns;
+  }
+
+  // Filter aggregation
+  if (obj.doc_count !== undefined) {
+    return [{ name, value: obj.doc_count }];
+  }
+
+  // top_hits: fields of the first hit
+  if (obj.hits && Array.isArray(obj.hits.hits)) {
+    const hit = obj.hits.hits[0];
+    if (!hit) return [];
+    return [
+      { name: `${name}._id`, value: hit._id },
+      ...flattenObject(name, hit._source || {})
+    ];
+  }
+
+  // top_metrics: metrics of the first top document
+  if (Array.isArray(obj.top)) {
+    const top = obj.top[0];
+    if (!top) return [];
+    return flattenObject(name, top.metrics || {});
+  }
+
+  // percentiles, percentile_ranks: keyed object or array of {key, value}
+  if (obj.values !== undefined && obj.values !== null && typeof obj.values === 'object') {
+    const entries = Array.isArray(obj.values)
+      ? obj.values.map(v => [v.key, v.value])
+      : Object.entries(obj.values).filter(([k]) => !k.endsWith('_as_string'));
+    return entries.map(([k, v]) => ({ name: `${name}.p${formatPercentileKey(k)}`, value: v }));
+  }
+
+  // geo_centroid: lift lat/lon to the top level
+  if (obj.location && typeof obj.location === 'object') {
+    const columns = [
+      { name: `${name}.lat`, value: obj.location.lat },
+      { name: `${name}.lon`, value: obj.location.lon }
+    ];
+    if (obj.count !== undefined) {
+      columns.push({ name: `${name}.count`, value: obj.count });
+    }
+    return columns;
+  }
+
+  // geo_bounds: top_left/bottom_right corners
+  if (obj.bounds && typeof obj.bounds === 'object') {
+    return flattenObject(name, obj.bounds);
+  }
+
+  // Value metric (sum, avg, min, max, cardinality, value_count, etc.) and pipeline
+  // aggregations (derivative, cumulative_sum, moving_fn, bucket_script, max_bucket, ...)
+  if (obj.value !== undefined) {
+    const columns = [{ name, value: obj.value }];
+    if (obj.normalized_value !== undefined) {
+      // derivative with a unit
+      columns.push({ name: `${name}.normalized_value`, value: obj.normalized_value });
+    }
+    if (obj.value_as_string !== undefined) {
+      columns.push({ name: `${name}.value_as_string`, value: obj.value_as_string });
+    }
+    if (Array.isArray(obj.keys)) {
+      // max_bucket, min_bucket: keys of the bucket(s) holding the value
+      columns.push({ name: `${name}.keys`, value: obj.keys.join(',') });
+    }
+    return columns;
+  }
+
+  // stats, extended_stats, boxplot, string_stats, geo_bounds and anything else:
+  // every scalar field becomes a column, nested objects are flattened with dots
+  return flattenObject(name, obj);
+}
+
+/**
+ * Flattens an object into dotted {name, value} columns.
+ * Skips `meta` and `*_as_string` fields; arrays become JSON strings.
+ */
+function flattenObject(prefix, obj) {
+  const columns = [];
+  for (const [k, v] of Object.entries(obj)) {
+    if (k === 'meta' || k.endsWith('_as_string')) continue;
+    const name = `${prefix}.${k}`;
+    if (v !== null && typeof v === 'object' && !Array.isArray(v)) {
+      columns.push(...flattenObject(name, v));
+    } else {
+      columns.push({ name, value: valueToCell(v) });
+    }
+  }
+  return columns;
+}
+
+/**
+ * Formats a percentile key for a column name: "95.0" -> "95", "99.9" -> "99.9"
+ */
+function formatPercentileKey(key) {
+  const num = Number(key);
+  return Number.isFinite(num) ? String(num) : String(key);
+}
+
+/**
+ * Creates a row object from a bucket
+ * @param {Object} bucket - The bucket object
+ * @param {Array} path - Array of {column, value} objects
+ */
+function createRowFromBucket(bucket, path) {
+  const row = {};
+  
+  // Add path elements as columns using the column names from path
+  for (const pathItem of path) {
+    if (pathItem && typeof pathItem === 'object' && pathItem.column && pathItem.value !== undefined) {
+      row[pathItem.column] = pathItem.value;
+    } else if (typeof pathItem === 'string') {
+      // Fallback for old format (shouldn't happen, but handle gracefully)
+      row[`level_${path.length}`] = pathItem;
+    }
+  }
+  
+  // Add bucket key if present and not already in path
+  // (for leaf buckets in terms aggregations, the key is already in the path)
+  // Prefer key_as_string over key if both exist
+  // (composite keys are always split into path columns)
+  const bucketKey = getBucketKey(bucket);
+  if (bucketKey !== undefined && !isCompositeKey(bucket.key) && !Array.isArray(bucket.key)) {
+    if (!path.some(pathItem => pathItem && pathItem.value === bucketKey)) {
+      // Key not in path, add it with a generic column name
+      row['key'] = bucketKey;
+    }
+  }
+  
+  // Add doc_count if present
+  if (bucket.doc_count !== undefined) {
+    row['doc_count'] = bucket.doc_count;
+  }
+  
+  // Add metric aggregations (filter aggs, sum, avg, etc.) as columns
+  const metrics = findMetricAggregations(bucket);
+  for (const { name, value } of metrics) {
+    row[name] = value;
+  }
+  
+  return row;
+}
+
+/**
+ * Fixed interval units in milliseconds (histogram intervals are plain numbers)
+ */
+const INTERVAL_UNITS = {
+  ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000,
+  second: 1000, minute: 60000, hour: 3600000, day: 86400000, week: 604800000
+};
+
+/**
+ * Calendar intervals in months
+ */
+const CALENDAR_MONTHS = { M: 1, month: 1, q: 3, quarter: 3, y: 12, year: 12 };
+
+/**
+ * Inserts the missing buckets of histogram and date_histogram aggregations, so
+ * that empty intervals get rows with doc_count 0 (and empty metrics).
+ * Works on every nesting level: all buckets lists of an aggregation (e.g. the hours
+ * below every host) are filled from the smallest to the largest key seen in any of them.
+ * With `options.query`, the histogram levels and their intervals come from the
+ * aggregation definitions. Without it, filling is best-effort: histogram levels are
+ * detected by their numeric, ascending bucket keys, and the interval is the largest
+ * step that fits all keys (too large when whole intervals are missing, e.g. keys at 0h
+ * and 3h of an hourly histogram), or a calendar month/quarter/year when every key
+ * starts one (in UTC). Returns a copy; the response is not changed.
+ *
+ * @param {Object} esOutput - The Elasticsearch response
+ * @param {Object} [options]
+ * @param {number|string|Object<string, number|string>} [options.interval] - Interval to use instead
+ *   of the definition's or a detected one: a number (histogram, or milliseconds), a fixed interval
+ *   ('30m', '1h', '1d'), a calendar interval ('month', '1q', 'year'), or a map of aggregation name to interval
+ * @param {Object} [options.query] - The search request body, for the aggregation definitions
+ * @param {number} [options.maxBuckets=10000] - Maximum number of buckets per list after filling
+ * @returns {Object} The response with the gaps filled
+ */
+export function fillHistogramGaps(esOutput, options = {}) {
+  if (!esOutput.aggregations) {
+    return esOutput;
+  }
+  const aggregations = structuredClone(esOutput.aggregations);
+  const maxBuckets = options.maxBuckets || 10000;
+
+  // Every buckets list, grouped by the aggregation names leading to it
+  const levels = new Map();
+  const collect = (container, levelPath) => {
+    for (const { name, aggregation } of findNestedAggregations(container)) {
+      const key = levelPath ? `${levelPath} > ${name}` : name;
+      if (Array.isArray(aggregation.buckets)) {
+        if (!levels.has(key)) levels.set(key, { name, aggregations: [] });
+        levels.get(key).aggregations.push(aggregation);
+        aggregation.buckets.forEach(bucket => collect(bucket, key));
+      } else if (aggregation.buckets) {
+        Object.values(aggregation.buckets).forEach(bucket => collect(bucket, key));
+      } else {
+        collect(aggregation, key);
+      }
+    }
+  };
+  collect(aggregations, '');
+
+  for (const { name, aggregations: lists } of levels.values()) {
+    const definition = findAggregationDefinition(options.query, name);
+    const histogram = definition && (definition.date_histogram || definition.histogram);
+    if (definition && !histogram) continue;
+    if (!lists.every(isHistogramAggregation)) continue;
+    const keys = lists.flatMap(agg => agg.buckets.map(b => b.key));
+    if (keys.length === 0) continue;
+
+    const configured = (isPlainObject(options.interval) ? options.interval[name] : options.interval) ??
+      histogram?.fixed_interval ?? histogram?.calendar_interval ?? histogram?.interval;
+    const step = configured !== undefined ? parseInterval(configured) : detectInterval(lists);
+    if (!step) continue;
+
+    const min = Math.min(...keys);
+    const max = Math.max(...keys);
+    const formatKey = keyFormatter(lists.flatMap(agg => agg.buckets));
+    for (const agg of lists) {
+      const byKey = new Map(agg.buckets.map(b => [b.key, b]));
+      const buckets = [];
+      for (let key = min, i = 0; key <= max; key = step(min, ++i)) {
+        if (buckets.length >= maxBuckets) {
+          throw new Error(`Filling gaps in "${name}" would create more than ${maxBuckets} buckets`);
+        }
+        buckets.push(byKey.get(key) || { ...formatKey(key), key, doc_count: 0 });
+        byKey.delete(key);
+      }
+      // Keys off the interval grid (e.g. a supplied interval that doesn't match) are kept
+      agg.buckets = byKey.size > 0 ? [...buckets, ...byKey.values()].sort((a, b) => a.key - b.key) : buckets;
+    }
+  }
+
+  return { ...esOutput, aggregations };
+}
+
+/**
+ * True if a buckets list looks like a histogram or date_histogram: numeric keys in
+ * ascending order, without range bounds or terms-only fields
+ */
+function isHistogramAggregation(agg) {
+  if (agg.sum_other_doc_count !== undefined || agg.doc_count_error_upper_bound !== undefined) {
+    return false;
+  }
+  return agg.buckets.every((b, i) => typeof b.key === 'number' && b.from === undefined && b.to === undefined &&
+    (i === 0 || b.key > agg.buckets[i - 1].key));
+}
+
+/**
+ * Detects the interval of histogram buckets lists: a calendar month, quarter or year
+ * if every key is the UTC start of one, else the largest interval that all keys are
+ * a whole number of steps apart by
+ * @returns {Function|null} step(min, i) giving the i-th key from min, or null if undetectable
+ */
+function detectInterval(lists) {
+  const keys = lists.flatMap(agg => agg.buckets.map(b => b.key));
+  const min = Math.min(...keys);
+  let spacing = Infinity;
+  let interval = 0;
+  for (const agg of lists) {
+    for (let i = 1; i < agg.buckets.length; i++) {
+      spacing = Math.min(spacing, agg.buckets[i].key - agg.buckets[i - 1].key);
+    }
+  }
+  for (const key of keys) {
+    interval = greatestCommonDivisor(interval, key - min);
+  }
+  if (spacing === Infinity || !(interval > 0)) {
+    return null;
+  }
+
+  const dates = lists.flatMap(agg => agg.buckets.map(b => new Date(b.key)));
+  const monthStarts = dates.every(d => d.getUTCDate() === 1 && d.getUTCHours() === 0 &&
+    d.getUTCMinutes() === 0 && d.getUTCSeconds() === 0 && d.getUTCMilliseconds() === 0);
+  const day = INTERVAL_UNITS.d;
+  if (monthStarts && spacing >= 365 * day && dates.every(d => d.getUTCMonth() === 0)) {
+    return calendarStep(12);
+  }
+  if (monthStarts && spacing >= 89 * day && dates.every(d => d.getUTCMonth() % 3 === 0)) {
+    return calendarStep(3);
+  }
+  if (monthStarts && spacing >= 28 * day) {
+    return calendarStep(1);
+  }
+  return fixedStep(interval);
+}
+
+/**
+ * Greatest common divisor, with a tolerance for fractional histogram keys
+ */
+function greatestCommonDivisor(a, b) {
+  const tolerance = Math.max(Math.abs(a), Math.abs(b)) * 1e-9;
+  while (Math.abs(b) > tolerance) {
+    [a, b] = [b, a % b];
+  }
+  return parseFloat(Math.abs(a).toPrecision(12));
+}
+
+/**
+ * Parses an interval option into a step function (see detectInterval)
+ */
+function parseInterval(interval) {
+  if (typeof interval === 'number') {
+    if (!(interval > 0)) {
+      throw new Error(`Invalid interval "${interval}"`);
+    }
+    return fixedStep(interval);
+  }
+  const match = /^(\d*)\s*([a-zA-Z]+)$/.exec(String(interval).trim());
+  const count = match && match[1] ? parseInt(match[1], 10) : 1;
+  const unit = match ? match[2] : '';
+  if (count > 0 && Object.hasOwn(CALENDAR_MONTHS, unit)) {
+    return calendarStep(count * CALENDAR_MONTHS[unit]);
+  }
+  if (count > 0 && Object.hasOwn(INTERVAL_UNITS, unit)) {
+    return fixedStep(count * INTERVAL_UNITS[unit]);
+  }
+  throw new Error(`Invalid interval "${interval}"`);
+}
+
+/**
+ * Step function for a fixed interval
+ */
+function fixedStep(interval) {
+  // Rounded so that fractional histogram intervals (0.1) hit the existing keys
+  return (min, i) => parseFloat((min + i * interval).toPrecision(12));
+}
+
+/**
+ * Step function for a calendar interval of whole months
+ */
+function calendarStep(months) {
+  return (min, i) => {
+    const d = new Date(min);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + i * months, d.getUTCDate(),
+      d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), d.getUTCMilliseconds());
+  };
+}
+
+/**
+ * Returns a function that gives inserted buckets a key_as_string in the format of
+ * the existing buckets (ISO 8601 date-times or dates), or none if they have none
+ */
+function keyFormatter(buckets) {
+  const samples = buckets.filter(b => b.key_as_string !== undefined);
+  if (samples.length === 0) {
+    return () => ({});
+  }
+  const formats = [
+    key => new Date(key).toISOString(),
+    key => new Date(key).toISOString().replace('.000Z', 'Z'),
+    key => new Date(key).toISOString().substring(0, 19),
+    key => new Date(key).toISOString().substring(0, 19).replace('T', ' '),
+    key => new Date(key).toISOString().substring(0, 10),
+    key => new Date(key).toISOString().substring(0, 7),
+    key => String(key)
+  ];
+  const format = formats.find(f => samples.every(b => f(b.key) === b.key_as_string)) || formats[0];
+  return key => ({ key_as_string: format(key) });
+}
+
+/**
+ * Pivots a long table into a wide one: the values of one column (e.g. the terms of
+ * a `by_host` aggregation) become columns, filled with a value column (e.g. doc_count).
+ * Rows are grouped by the index columns, which default to the columns before the
+ * pivot column (the aggregation levels above it). Other columns are dropped, as are
+ * rows without the pivot column.
+ *
+ * @param {Array<Object>} table - Array of row objects
+ * @param {Object} pivot
+ * @param {string} pivot.column - Column whose values become the new columns
+ * @param {string|Array<string>} [pivot.value='doc_count'] - Column(s) that fill the cells. With
+ *   several value columns the new columns are named `<pivot value>.<value column>`
+ * @param {Array<string>} [pivot.index] - Columns that identify an output row
+ * @param {*} [pivot.fill=null] - Value for missing combinations
+ * @param {number} [pivot.maxColumns=100] - Maximum number of pivot values turned into columns.
+ *   The values with the highest total (of the first value column) are kept
+ * @param {string|false} [pivot.otherColumn='_other_'] - Column that sums the values beyond
+ *   maxColumns, or false to drop them. Only additive value columns are summed (doc_count,
+ *   `.sum` and `.count` of multi-value metrics, and pivot.additive); the others stay empty there
+ * @param {Array<string>} [pivot.additive] - Further value columns that may be summed, e.g. of
+ *   sum and value_count metrics (esToTable finds those in `options.query`)
+ * @returns {Array<Object>} Pivoted rows
+ */
+export function pivotTable(table, pivot = {}) {
+  const { column, fill = null, maxColumns = 100, otherColumn = '_other_' } = pivot;
+  const values = pivot.value === undefined ? ['doc_count'] : [].concat(pivot.value);
+  const sourceColumns = collectColumns(table);
+  if (!column || !sourceColumns.includes(column)) {
+    throw new Error(`Pivot column "${column}" not found`);
+  }
+  const index = pivot.index || sourceColumns.slice(0, sourceColumns.indexOf(column));
+  const pivotRows = table.filter(row => row[column] !== undefined);
+
+  // Pivot values in first-seen order; the ones with the highest totals get a column
+  const totals = new Map();
+  for (const row of pivotRows) {
+    const key = String(row[column]);
+    const v = row[values[0]];
+    totals.set(key, (totals.get(key) || 0) + (typeof v === 'number' ? v : 0));
+  }
+  let keys = [...totals.keys()];
+  const truncated = keys.length > maxColumns;
+  if (truncated) {
+    const kept = new Set([...keys].sort((a, b) => totals.get(b) - totals.get(a)).slice(0, maxColumns));
+    keys = keys.filter(k => kept.has(k));
+    if (otherColumn && !kept.has(otherColumn)) {
+      keys.push(otherColumn);
+    }
+  }
+  const keySet = new Set(keys);
+  const cellName = (key, value) => (values.length === 1 ? key : `${key}.${value}`);
+
+  const groups = new Map();
+  for (const row of pivotRows) {
+    const groupKey = JSON.stringify(index.map(c => row[c] ?? null));
+    let group = groups.get(groupKey);
+    if (!group) {
+      const out = {};
+      for (const c of index) {
+        out[c] = row[c] ?? null;
+      }
+      for (const key of keys) {
+        for (const value of values) {
+          out[cellName(key, value)] = fill;
+        }
+      }
+      group = { row: out, filled: new Set() };
+      groups.set(groupKey, group);
+    }
+
+    const key = String(row[column]);
+    // An existing other value (terms `_other_`) is summed together with the cut-off values
+    const folded = truncated && (!keySet.has(key) || key === otherColumn);
+    if (folded && !otherColumn) {
+      continue;
+    }
+    for (const value of values) {
+      const name = cellName(folded ? otherColumn : key, value);
+      const v = row[value] ?? null;
+      if (folded) {
+        // Values beyond maxColumns are summed into the other column; a sum of averages, maxima, ... means nothing
+        if (!isAdditiveColumn(value, pivot.additive)) {
+          continue;
+        }
+        const current = group.filled.has(name) ? group.row[name] : 0;
+        group.row[name] = typeof v === 'number' && typeof current === 'number' ? current + v : current;
+      } else if (group.filled.has(name)) {
+        throw new Error(`Pivot: several rows for ${index.map(c => `${c}=${row[c]}`).concat(`${column}=${key}`).join(', ')}; add the columns that tell them apart to pivot.index`);
+      } else {
+        group.row[name] = v;
+      }
+      group.filled.add(name);
+    }
+  }
+
+  return [...groups.values()].map(g => g.row);
+}
+
+/**
+ * The pivot options of esToTable, with the sum and value_count metrics of the query as additive columns
+ */
+function pivotOptions(options) {
+  const additive = [...additiveMetricNames(options.query)];
+  return additive.length > 0 ? { ...options.pivot, additive: [...additive, ...(options.pivot.additive || [])] } : options.pivot;
+}
+
+/**
+ * Names of the sum and value_count aggregations in a search request body
+ * @param {Object} [query] - Search request body (with `aggs` or `aggregations`)
+ * @param {Set<string>} [names] - Names found so far
+ * @returns {Set<string>}
+ */
+function additiveMetricNames(query, names = new Set()) {
+  const aggs = query?.aggs || query?.aggregations;
+  if (!isPlainObject(aggs)) {
+    return names;
+  }
+  for (const [name, definition] of Object.entries(aggs)) {
+    if (isPlainObject(definition?.sum) || isPlainObject(definition?.value_count)) {
+      names.add(name);
+    }
+    additiveMetricNames(definition, names);
+  }
+  return names;
+}
+
+/**
+ * True if the values of a column can be summed across pivot values
+ */
+function isAdditiveColumn(column, additive = []) {
+  return column === 'doc_count' || additive.includes(column) || /\.(sum|count|doc_count)$/.test(column);
+}
+
+/**
+ * Output formats: file extension and content type.
+ * Parquet is not written by this module; the server writes it through DuckDB.
+ */
+export const OUTPUT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv' },
+  ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  markdown: { extension: 'md', contentType: 'text/markdown' },
+  html: { extension: 'html', contentType: 'text/html' },
+  parquet: { extension: 'parquet', contentType: 'application/vnd.apache.parquet' }
+};
+
+/**
+ * Applies a consistent schema to a table: the union of all row columns in
+ * first-seen order, optionally picked, reordered, excluded and renamed.
+ * Every output row has every column; missing cells get the fill value.
+ *
+ * @param {Array<Object>} table - Array of row objects
+ * @param {Object} [options]
+ * @param {Array<string>} [options.columns] - Columns to keep, in this order (missing ones are filled)
+ * @param {Array<string>} [options.columnOrder] - Columns to move to the front; the rest keep their order
+ * @param {Array<string>} [options.exclude] - Columns to drop
+ * @param {Object<string, string>} [options.rename] - Map of column name to output name
+ * @param {*} [options.fillValue=null] - Value for missing (undefined or null) cells
+ * @returns {{columns: Array<string>, rows: Array<Object>}} Output column names and normalized rows
+ */
+export function applySchema(table, options = {}) {
+  const schema = resolveColumns(collectColumns(table), options);
+  const fillValue = options.fillValue !== undefined ? options.fillValue : null;
+
+  const rows = table.map(row => {
+    const out = {};
+    for (const { source, name } of schema) {
+      const v = row[source];
+      out[name] = v !== undefined && v !== null ? v : fillValue;
+    }
+    return out;
+  });
+
+  return { columns: schema.map(c => c.name), rows };
+}
+
+/**
+ * Resolves the output schema from the source columns and the schema options
+ * of applySchema()
+ * @param {Array<string>} sourceColumns - Union of the table's columns, in order
+ * @param {Object} options - Schema options
+ * @returns {Array<{source: string, name: string}>} Output columns
+ */
+function resolveColumns(sourceColumns, options = {}) {
+  let columns = options.columns ? [...options.columns] : [...sourceColumns];
+
+  if (options.columnOrder) {
+    const front = options.columnOrder.filter(c => columns.includes(c));
+    columns = [...front, ...columns.filter(c => !front.includes(c))];
+  }
+  if (options.exclude) {
+    const excluded = new Set(options.exclude);
+    columns = columns.filter(c => !excluded.has(c));
+  }
+
+  const rename = options.rename || {};
+  const schema = columns.map(source => ({ source, name: rename[source] ?? source }));
+  const names = schema.map(c => c.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate !== undefined) {
+    throw new Error(`Duplicate output column "${duplicate}"`);
+  }
+  return schema;
+}
+
+/**
+ * Converts table data to CSV format.
+ * Headers are the union of all row columns (see applySchema for the schema options).
+ */
+export function tableToCSV(table, options = {}) {
+  if (table.length === 0) {
+    return '';
+  }
+
+  const { columns: headers, rows } = applySchema(table, options);
+  const delimiter = options.delimiter || ',';
+  const includeHeaders = options.includeHeaders !== false;
+
+  let csv = '';
+
+  // Add headers
+  if (includeHeaders) {
+    csv += headers.map(h => escapeCSV(h)).join(delimiter) + '\n';
+  }
+
+  // Add rows
+  for (const row of rows) {
+    csv += formatCSVRow(row, headers, delimiter);
+  }
+
+  return csv;
+}
+
+/**
+ * Converts table data to JSON Lines (NDJSON): one JSON object per row.
+ * Accepts the same schema options as applySchema.
+ */
+export function tableToNDJSON(table, options = {}) {
+  if (table.length === 0) {
+    return '';
+  }
+
+  const { rows } = applySchema(table, options);
+  return rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+}
+
+/**
+ * Converts table data to a Markdown (GitHub-flavoured) table.
+ * Accepts the same schema options as applySchema.
+ */
+export function tableToMarkdown(table, options = {}) {
+  if (table.length === 0) {
+    return '';
+  }
+
+  const { columns, rows } = applySchema(table, options);
+  const line = cells => `| ${cells.join(' | ')} |\n`;
+
+  let md = line(columns.map(escapeMarkdown));
+  md += line(columns.map(() => '---'));
+  for (const row of rows) {
+    md += line(columns.map(c => escapeMarkdown(row[c])));
+  }
+  return md;
+}
+
+/**
+ * Converts table data to a standalone HTML document containing one table.
+ * Accepts the same schema options as applySchema.
+ * @param {Array<Object>} table - Array of row objects
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title and heading
+ */
+export function tableToHTML(table, options = {}) {
+  const { columns, rows } = applySchema(table, options);
+  const title = options.title || 'ES2Tabular export';
+
+  let html = '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n';
+  html += `<title>${escapeHTML(title)}</title>\n`;
+  html += '<style>\n' +
+    'body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 20px; }\n' +
+    'table { border-collapse: collapse; font-size: 14px; }\n' +
+    'th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; }\n' +
+    'th { background: #f5f5f5; }\n' +
+    'tr:nth-child(even) td { background: #fafafa; }\n' +
+    '</style>\n</head>\n<body>\n';
+  html += `<h1>${escapeHTML(title)}</h1>\n<table>\n<thead>\n<tr>`;
+  html += columns.map(c => `<th>${escapeHTML(c)}</th>`).join('');
+  html += '</tr>\n</thead>\n<tbody>\n';
+  for (const row of rows) {
+    html += '<tr>' + columns.map(c => `<td>${escapeHTML(row[c])}</td>`).join('') + '</tr>\n';
+  }
+  html += '</tbody>\n</table>\n</body>\n</html>\n';
+  return html;
+}
+
+/**
+ * Converts one or more tables to an Excel workbook (.xlsx), one sheet per table.
+ * Accepts the same schema options as applySchema (applied to every sheet).
+ * @param {Array<Object>|Object<string, Array<Object>>} tables - A table, or a map of sheet name to table
+ *   (e.g. the result of esToTables)
+ * @param {Object} [options]
+ * @returns {Promise<Buffer>} The .xlsx file contents
+ */
+export async function tablesToXLSX(tables, options = {}) {
+  const sheets = Array.isArray(tables) ? { [options.sheetName || 'Sheet1']: tables } : tables;
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'ES2Tabular';
+  const usedNames = new Set();
+
+  for (const [name, table] of Object.entries(sheets)) {
+    const worksheet = workbook.addWorksheet(uniqueSheetName(name, usedNames));
+    const { columns, rows } = applySchema(table, options);
+    worksheet.columns = columns.map(c => ({ header: c, key: c, width: Math.min(Math.max(c.length + 2, 10), 50) }));
+    for (const row of rows) {
+      worksheet.addRow(row);
+    }
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Excel sheet names: at most 31 characters, no []:*?/\ and unique in the workbook
+ */
+function uniqueSheetName(name, usedNames) {
+  const base = (String(name).replace(/[[\]:*?/\\]/g, '_').substring(0, 31)) || 'Sheet';
+  let candidate = base;
+  for (let i = 2; usedNames.has(candidate.toLowerCase()); i++) {
+    const suffix = `_${i}`;
+    candidate = base.substring(0, 31 - suffix.length) + suffix;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Escapes a value for a Markdown table cell
+ */
+function escapeMarkdown(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Escapes a value for HTML text
+ */
+function escapeHTML(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats one CSV line (including the newline)
+ */
+function formatCSVRow(row, headers, delimiter) {
+  return headers.map(h => escapeCSV(row[h] !== undefined && row[h] !== null ? row[h] : '')).join(delimiter) + '\n';
+}
+
+/**
+ * Escapes a value for CSV
+ */
+function escapeCSV(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  const str = String(value);
+  
+  // If contains comma, newline, or quote, wrap in quotes and escape quotes
+  if (str.includes(',') || str.includes('\n') || str.includes('"')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  
+  return str;
+}
+
+/**
+ * Main function to convert ES output file to CSV
+ */
+export function convertFile(inputPath, outputPath, options = {}) {
+  const esOutput = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
   const table = esToTable(esOutput, options);
   const csv = tableToCSV(table, options);
   
@@ -337,3 +1791,295 @@ export function convertFile(inputPath, outputPath, options = {}) {
   
   return { table, csv };
 }
+
+/**
+ * Placeholder for the arrays left out of a skeleton (see readSkeleton)
+ */
+const STREAMED = '__streamed__';
+
+/**
+ * Formats that streamConvertFile can write
+ */
+const STREAMING_FORMATS = ['csv', 'ndjson'];
+
+/**
+ * Converts a stored ES output file row by row, without loading it into memory.
+ * The large arrays (hits.hits and the buckets of top-level aggregations) are
+ * parsed incrementally; everything else is read into a small skeleton first.
+ * Rows are the same as esToTable() returns, except that raw hit rows only carry
+ * their own columns (streamConvertFile fills in the rest).
+ *
+ * pivot, fillGaps and top-level sibling aggregations combined with `siblings: 'cross'`
+ * or `'stack'` (allAggregations) need all rows at once and are not supported.
+ *
+ * @param {string} inputPath - Path to the ES output JSON file
+ * @param {Object} [options] - Same options as esToTable
+ * @returns {AsyncGenerator<Object>} Row objects
+ */
+export async function* streamTableRows(inputPath, options = {}) {
+  const skeleton = await readSkeleton(inputPath);
+  yield* skeletonRows(inputPath, skeleton, options);
+}
+
+/**
+ * Converts an ES output file to CSV or NDJSON with flat memory use: reads the
+ * file twice, once to collect the columns and once to write the rows.
+ *
+ * @param {string} inputPath - Path to the ES output JSON file
+ * @param {string} outputPath - Path to the output file
+ * @param {Object} [options] - esToTable options, applySchema options and:
+ * @param {string} [options.format='csv'] - 'csv' or 'ndjson'
+ * @param {string} [options.delimiter=','] - CSV delimiter
+ * @param {boolean} [options.includeHeaders=true] - CSV: include the header row
+ * @returns {Promise<{rows: number, columns: Array<string>}>} Row count and output column names
+ */
+export async function streamConvertFile(inputPath, outputPath, options = {}) {
+  const format = options.format || 'csv';
+  if (!STREAMING_FORMATS.includes(format)) {
+    throw new Error(`Streaming conversion supports ${STREAMING_FORMATS.join(', ')}, not "${format}"`);
+  }
+
+  const skeleton = await readSkeleton(inputPath);
+  const isHits = !(skeleton.esOutput.aggregations && Object.keys(skeleton.esOutput.aggregations).length > 0) &&
+    skeleton.esOutput.hits?.hits !== undefined;
+
+  // Pass 1: union of the row columns, in first-seen order
+  const seenColumns = new Set();
+  let rowCount = 0;
+  for await (const row of skeletonRows(inputPath, skeleton, options)) {
+    for (const c of Object.keys(row)) {
+      seenColumns.add(c);
+    }
+    rowCount++;
+  }
+  const sourceColumns = isHits ? orderHitColumns([...seenColumns], options) : [...seenColumns];
+  const schema = resolveColumns(sourceColumns, options);
+  const columns = schema.map(c => c.name);
+
+  // Pass 2: write the rows
+  const fillValue = options.fillValue !== undefined ? options.fillValue : null;
+  const delimiter = options.delimiter || ',';
+  const out = fs.createWriteStream(outputPath, 'utf8');
+  try {
+    if (format === 'csv' && rowCount > 0 && options.includeHeaders !== false) {
+      out.write(columns.map(h => escapeCSV(h)).join(delimiter) + '\n');
+    }
+    if (rowCount > 0) {
+      for await (const row of skeletonRows(inputPath, skeleton, options)) {
+        const record = {};
+        for (const { source, name } of schema) {
+          // Raw hits leave missing fields empty, like hitsToTable()
+          const v = row[source] === undefined && isHits ? '' : row[source];
+          record[name] = v !== undefined && v !== null ? v : fillValue;
+        }
+        const line = format === 'csv' ? formatCSVRow(record, columns, delimiter) : JSON.stringify(record) + '\n';
+        if (!out.write(line)) {
+          await once(out, 'drain');
+        }
+      }
+    }
+    out.end();
+    await new Promise((resolve, reject) => finished(out, err => (err ? reject(err) : resolve())));
+  } catch (error) {
+    out.destroy();
+    fs.rmSync(outputPath, { force: true });
+    throw error;
+  }
+
+  return { rows: rowCount, columns };
+}
+
+/**
+ * Yields the rows of a file from its skeleton, streaming the arrays left out of it
+ * @param {string} inputPath - Path to the ES output JSON file
+ * @param {{esOutput: Object, rangeBuckets: Object}} skeleton - Result of readSkeleton()
+ * @param {Object} options - Same options as esToTable
+ */
+async function* skeletonRows(inputPath, skeleton, rowOptions) {
+  if (rowOptions.pivot || rowOptions.fillGaps) {
+    throw new Error(`${rowOptions.pivot ? 'pivot' : 'fillGaps'} needs every row at once and is not supported for streaming conversion`);
+  }
+  if (rowOptions.allAggregations && (rowOptions.siblings === 'cross' || rowOptions.siblings === 'stack')) {
+    throw new Error(`allAggregations with siblings "${rowOptions.siblings}" needs every row at once and is not supported for streaming conversion`);
+  }
+  const options = rowOptions.rollup ? { ...rowOptions, pathColumns: new Set() } : rowOptions;
+  const { esOutput, rangeBuckets } = skeleton;
+  const { aggregations } = esOutput;
+
+  if (isMultiSearchResponse(esOutput)) {
+    // Nothing is left out of the skeleton of a multi-search response
+    yield* esToTable(esOutput, rowOptions);
+    return;
+  }
+
+  if (Array.isArray(esOutput.columns) && (esOutput.values === STREAMED || esOutput.rows === STREAMED)) {
+    // ES|QL or SQL response
+    const names = esOutput.columns.map(c => c.name);
+    for await (const values of streamArrayItems(inputPath, [esOutput.values === STREAMED ? 'values' : 'rows'])) {
+      yield tabularRow(names, values);
+    }
+    return;
+  }
+
+  if (aggregations && Object.keys(aggregations).length > 0) {
+    // The aggregations to convert, with the options esToTable() would process them with
+    const aggName = options.aggregationName || Object.keys(aggregations)[0];
+    const groups = options.allAggregations
+      ? findNestedAggregations(aggregations).map(({ name, aggregation }) => ({
+        name, aggregation, options: { ...options, currentAggregationName: name }
+      }))
+      : [{
+        name: aggName,
+        aggregation: aggregations[aggName],
+        options: { ...options, topLevelAggregationName: aggName, filterColumnName: options.filterColumnName || aggName }
+      }];
+
+    if (!groups.some(g => g.aggregation?.buckets === STREAMED)) {
+      // Nothing left out of the skeleton (keyed buckets, metrics, ...)
+      yield* esToTable(esOutput, rowOptions);
+      return;
+    }
+    // Top-level sibling pipeline aggregations: as columns on every row, or one summary row at the end
+    const metrics = findSiblingPipelines(aggregations, options);
+    const metricsMode = options.siblingMetrics || 'columns';
+    for (const group of groups) {
+      const rows = group.aggregation.buckets === STREAMED
+        ? streamBucketRows(inputPath, group, rangeBuckets[group.name])
+        : processAggregation(group.aggregation, group.options);
+      for await (const row of rows) {
+        yield* metricsMode === 'rows' ? [row] : applySiblingMetrics([row], metrics, [], metricsMode);
+      }
+    }
+    if (metricsMode === 'rows') {
+      yield* applySiblingMetrics([], metrics, [], metricsMode);
+    }
+    if (options.allAggregations) {
+      yield* topLevelMetricRows(aggregations, options);
+    }
+    if (options.rollup) {
+      yield* grandTotalRows(esOutput, options);
+    }
+    return;
+  }
+
+  const hits = esOutput.hits?.hits;
+  if (hits === STREAMED) {
+    let hitCount = 0;
+    for await (const hit of streamArrayItems(inputPath, ['hits', 'hits'])) {
+      yield* hitToRecords(hit, options);
+      hitCount++;
+    }
+    if (hitCount > 0) {
+      return;
+    }
+  }
+
+  throw new Error('No aggregations or hits found in Elasticsearch output');
+}
+
+/**
+ * Yields the rows of a top-level multi-bucket aggregation whose buckets were
+ * left out of the skeleton, one bucket at a time (see processAggregation)
+ * @param {string} inputPath - Path to the ES output JSON file
+ * @param {{name: string, aggregation: Object, options: Object}} group - The aggregation
+ * @param {Object} [rangeBucket] - Range bounds seen on its buckets (see readSkeleton)
+ */
+async function* streamBucketRows(inputPath, group, rangeBucket) {
+  const { name, aggregation, options } = group;
+  const aggregationName = options.currentAggregationName || options.topLevelAggregationName || options.aggregationName || 'aggregation';
+  const bucketColumns = {
+    ...getBucketColumns({ ...aggregation, buckets: [] }, aggregationName, options),
+    range: rangeBucket?.bounded ? { fromAsString: rangeBucket.fromAsString, toAsString: rangeBucket.toAsString } : null
+  };
+
+  let firstBucket;
+  for await (const bucket of streamArrayItems(inputPath, ['aggregations', name, 'buckets'])) {
+    firstBucket = firstBucket || bucket;
+    yield* processBucketContents(bucket, options, getBucketPathItems(bucket, aggregationName, bucketColumns));
+  }
+
+  if (aggregation.sum_other_doc_count > 0) {
+    yield createOtherRow(aggregation, firstBucket, aggregationName, bucketColumns, []);
+  }
+}
+
+/**
+ * Collects the indices (`_index`) of the raw hits of an ES output file without
+ * loading it into memory, e.g. to fetch the mapping for `options.mapping`
+ * @param {string} inputPath - Path to the ES output JSON file
+ * @returns {Promise<Array<string>>} Index names, in first-seen order
+ */
+export async function readHitIndices(inputPath) {
+  const indices = new Set();
+  for await (const hit of streamArrayItems(inputPath, ['hits', 'hits'])) {
+    if (hit?._index) {
+      indices.add(hit._index);
+    }
+  }
+  return [...indices];
+}
+
+/**
+ * Reads an ES output file without its large arrays: hits.hits, the bucket arrays
+ * of top-level aggregations and the values/rows of ES|QL and SQL responses are
+ * replaced by a placeholder. While reading,
+ * notes which of those bucket arrays hold range buckets (see getRangeColumns).
+ * @param {string} inputPath - Path to the ES output JSON file
+ * @returns {Promise<{esOutput: Object, rangeBuckets: Object}>} The skeleton, and range
+ *   bounds per top-level aggregation name
+ */
+function readSkeleton(inputPath) {
+  const rangeBuckets = {};
+  const isBucketArray = stack => stack.length === 3 && stack[0] === 'aggregations' && stack[2] === 'buckets';
+
+  // Looks at every value before the arrays are dropped; never filters anything out
+  const observe = Replace.make({
+    filter: stack => {
+      if (stack.length === 5 && isBucketArray(stack.slice(0, 3))) {
+        const field = stack[4];
+        if (field === 'from' || field === 'to' || field === 'from_as_string' || field === 'to_as_string') {
+          const seen = rangeBuckets[stack[1]] || (rangeBuckets[stack[1]] = {});
+          seen.bounded = true;
+          if (field === 'from_as_string') seen.fromAsString = true;
+          if (field === 'to_as_string') seen.toAsString = true;
+        }
+      }
+      return false;
+    }
+  });
+  const replace = Replace.make({
+    filter: (stack, chunk) => chunk.name === 'startArray' &&
+      (isBucketArray(stack) || (stack.length === 2 && stack[0] === 'hits' && stack[1] === 'hits') ||
+        (stack.length === 1 && (stack[0] === 'values' || stack[0] === 'rows'))),
+    replacement: [{ name: 'stringValue', value: STREAMED }]
+  });
+
+  return new Promise((resolve, reject) => {
+    const stream = jsonPipeline(inputPath, [observe, replace], err => (err ? reject(err) : resolve({ esOutput: assembler.current, rangeBuckets })));
+    const assembler = Assembler.connectTo(stream);
+  });
+}
+
+/**
+ * Yields the elements of the array at the given path of a JSON file, one at a time
+ * @param {string} inputPath - Path to the JSON file
+ * @param {Array<string>} segments - Path of the array, e.g. ['hits', 'hits']
+ */
+async function* streamArrayItems(inputPath, segments) {
+  const pick = Pick.make({
+    filter: stack => stack.length === segments.length && stack.every((s, i) => s === segments[i]),
+    once: true
+  });
+  for await (const { value } of jsonPipeline(inputPath, [pick, StreamArray.make()])) {
+    yield value;
+  }
+}
+
+/**
+ * Reads a JSON file through a stream-json parser and the given stages.
+ * Closing or failing any stage (e.g. leaving a for await loop early) closes them all.
+ * @returns {Stream} The last stage
+ */
+function jsonPipeline(inputPath, stages, callback = () => {}) {
+  return pipeline(fs.createReadStream(inputPath), Parser.make({ streamValues: false }), ...stages, callback);
+}
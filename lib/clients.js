@@ -0,0 +1,28 @@
+import { SearchClient } from './search-client.js';
+import { KibanaClient } from './kibana-client.js';
+import { ElasticsearchClient } from './elasticsearch-client.js';
+
+export { SearchClient, KibanaClient, ElasticsearchClient };
+
+/**
+ * Client class per backend name
+ */
+export const BACKENDS = {
+  kibana: KibanaClient,
+  elasticsearch: ElasticsearchClient,
+};
+
+/**
+ * Create the client for the configured backend: `config.backend`, else
+ * ES_BACKEND, else `elasticsearch` when ES_URL is set and `kibana` otherwise.
+ * @param {Object} [config] - Backend name plus the options of the client class
+ * @returns {SearchClient}
+ */
+export function createClient(config = {}) {
+  const backend = config.backend || process.env.ES_BACKEND || (process.env.ES_URL ? 'elasticsearch' : 'kibana');
+  const Client = BACKENDS[backend];
+  if (!Client) {
+    throw new Error(`Unknown Elasticsearch backend "${backend}". Supported: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return new Client(config);
+}
@@ -0,0 +1,170 @@
+import fs from 'fs';
+import { createClient } from './clients.js';
+
+/**
+ * Option suffixes of CLUSTER_<NAME>_<OPTION> environment variables and the client option they set
+ */
+const ENV_OPTIONS = {
+  BACKEND: 'backend',
+  HOST: 'host',
+  PORT: 'port',
+  PROTOCOL: 'protocol',
+  SPACE: 'space',
+  USERNAME: 'username',
+  PASSWORD: 'password',
+  AUTH_TOKEN: 'authToken',
+  URL: 'url',
+  API_KEY: 'apiKey',
+  BEARER_TOKEN: 'bearerToken',
+  CA_CERT: 'caCert',
+  TLS_VERIFY: 'tlsVerify',
+};
+
+const ENV_PATTERN = new RegExp(`^CLUSTER_(.+)_(${Object.keys(ENV_OPTIONS).join('|')})$`);
+
+/**
+ * Named Elasticsearch clusters (or Kibana spaces), each with its own client.
+ * Clients are created on first use. Only the default cluster falls back to the
+ * global credentials, Kibana space and TLS settings (KIBANA_USERNAME, ES_API_KEY,
+ * ES_CA_CERT, ...); the others use their own options, unless an entry sets
+ * `envCredentials: true`.
+ */
+export class ClusterRegistry {
+  /**
+   * @param {Object} clusters - Client options per cluster name (see `createClient`)
+   * @param {string} [defaultName] - Cluster used when a request names none (defaults to the first)
+   */
+  constructor(clusters, defaultName) {
+    this.clusters = clusters;
+    this.defaultName = defaultName || Object.keys(clusters)[0];
+    this.clients = new Map();
+
+    if (!this.has(this.defaultName)) {
+      throw new Error(`Default cluster "${this.defaultName}" is not configured`);
+    }
+  }
+
+  /**
+   * Names of all configured clusters
+   */
+  names() {
+    return Object.keys(this.clusters);
+  }
+
+  /**
+   * True if a cluster of that name is configured
+   */
+  has(name) {
+    return Object.hasOwn(this.clusters, name);
+  }
+
+  /**
+   * Client of a cluster
+   * @param {string} [name] - Cluster name (defaults to the default cluster)
+   * @returns {import('./search-client.js').SearchClient}
+   */
+  get(name = this.defaultName) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown cluster "${name}". Configured: ${this.names().join(', ')}`);
+    }
+    if (!this.clients.has(name)) {
+      this.clients.set(name, createClient({ envCredentials: name === this.defaultName, ...this.clusters[name] }));
+    }
+    return this.clients.get(name);
+  }
+
+  /**
+   * Check the health of a cluster; failures and timeouts are reported, not thrown
+   * @param {string} name - Cluster name
+   * @param {number} [timeoutMs=5000] - How long to wait for an answer
+   * @returns {Promise<Object>} { ok, status, clusterName } or { ok: false, error }
+   */
+  async checkHealth(name, timeoutMs = 5000) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs} ms`)), timeoutMs);
+    });
+
+    try {
+      const health = await Promise.race([this.get(name).checkHealth(), timeout]);
+      return { ok: true, status: health.status, clusterName: health.cluster_name };
+    } catch (error) {
+      // API errors carry the response body on the following lines
+      return { ok: false, error: error.message.split('\n')[0] };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Describe every cluster, optionally with its health
+   * @param {Object} [options]
+   * @param {boolean} [options.health=true] - Check the health of every cluster (in parallel)
+   * @returns {Promise<Object[]>} [{ name, backend, url, space, default, health }]
+   */
+  async list(options = {}) {
+    return Promise.all(this.names().map(async name => {
+      const client = this.get(name);
+      return {
+        name,
+        backend: client.backend,
+        url: client.baseUrl,
+        space: client.space || null,
+        default: name === this.defaultName,
+        ...(options.health !== false ? { health: await this.checkHealth(name) } : {}),
+      };
+    }));
+  }
+}
+
+/**
+ * Load the cluster registry from a JSON file and/or CLUSTER_<NAME>_<OPTION>
+ * environment variables. Environment variables override the file option by
+ * option. Without either, the registry holds a single `default` cluster
+ * configured by the global environment (see `createClient`).
+ *
+ * The file maps cluster names to client options; an entry with `"default": true`
+ * becomes the default cluster (CLUSTER_DEFAULT overrides it):
+ *   { "prod": { "host": "kibana.prod", "space": "ops", "default": true },
+ *     "eu": { "url": "https://es.eu:9200", "apiKey": "..." } }
+ *
+ * @param {Object} [options]
+ * @param {string} [options.file] - Path of the JSON file (default CLUSTERS_FILE)
+ * @param {Object} [options.env] - Environment variables (default process.env)
+ * @returns {ClusterRegistry}
+ */
+export function loadClusterRegistry(options = {}) {
+  const env = options.env || process.env;
+  const file = options.file ?? env.CLUSTERS_FILE;
+  const clusters = {};
+  let defaultName = env.CLUSTER_DEFAULT;
+
+  if (file) {
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    for (const [name, { default: isDefault, ...config }] of Object.entries(entries)) {
+      clusters[name] = config;
+      if (isDefault && !env.CLUSTER_DEFAULT) {
+        defaultName = name;
+      }
+    }
+  }
+
+  for (const [key, value] of Object.entries(env)) {
+    const match = key.match(ENV_PATTERN);
+    if (!match || value === undefined || value === '') continue;
+    const name = match[1].toLowerCase();
+    const option = ENV_OPTIONS[match[2]];
+    clusters[name] ??= {};
+    clusters[name][option] = option === 'tlsVerify' ? value !== 'false' : value.trim();
+  }
+
+  if (Object.keys(clusters).length === 0) {
+    return new ClusterRegistry({ default: {} });
+  }
+
+  // Each entry picks its own backend instead of the global ES_BACKEND/ES_URL
+  for (const config of Object.values(clusters)) {
+    config.backend ??= config.url ? 'elasticsearch' : 'kibana';
+  }
+  return new ClusterRegistry(clusters, defaultName);
+}
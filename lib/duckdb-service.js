@@ -161,6 +161,93 @@ class DuckDBService {
     };
   }
 
+  /**
+   * Write a JSON Lines (NDJSON) file as a Parquet file
+   * @param {string} jsonPath - Path to the NDJSON source file
+   * @param {string} parquetPath - Path of the Parquet file to write
+   */
+  async exportParquet(jsonPath, parquetPath) {
+    if (!this.initialized) {
+      await this.init();
+    }
+
+    const source = jsonPath.replace(/'/g, "''");
+    const target = parquetPath.replace(/'/g, "''");
+    await this.run(`COPY (SELECT * FROM read_json_auto('${source}', format = 'newline_delimited')) TO '${target}' (FORMAT PARQUET)`);
+    return { parquetPath };
+  }
+
+  /**
+   * Append rows to a table as one snapshot, with the snapshot time in a
+   * `snapshot_at` column. The table is created on the first append; columns
+   * that later rows bring along are added to it. Column types are BIGINT for
+   * whole numbers, DOUBLE for other numbers, BOOLEAN for true/false and VARCHAR
+   * for everything else (strings, objects, mixed or empty columns), and are widened
+   * when a later snapshot doesn't fit them (an integer column gets a fraction, a
+   * number column a string; numbers then keep their JavaScript text, `200` or `1.5`).
+   * @param {string} tableName - Table name
+   * @param {object[]} rows - Rows (column name -> value)
+   * @param {Date} [snapshotAt] - Time of the snapshot (default: now)
+   * @returns {Promise<{tableName: string, rowCount: number, snapshotAt: string}>}
+   */
+  async appendRows(tableName, rows, snapshotAt = new Date()) {
+    if (!this.initialized) {
+      await this.init();
+    }
+
+    const safeTableName = tableName.replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
+    const timestamp = snapshotAt.toISOString();
+    if (rows.length === 0) {
+      return { tableName: safeTableName, rowCount: 0, snapshotAt: timestamp };
+    }
+
+    const exists = await this.query(
+      `SELECT COUNT(*) AS count FROM information_schema.tables WHERE table_schema = 'main' AND table_name = '${safeTableName}'`
+    );
+    const existing = Number(exists.rows[0]?.count) === 0
+      ? null
+      : new Map((await this.describeTable(safeTableName)).map(c => [c.name, c.type]));
+
+    // Types of this snapshot's columns, widened to fit the table's
+    const columns = new Map();
+    for (const [name, type] of snapshotColumnTypes(rows)) {
+      columns.set(name, widenColumnType(existing?.get(name), type));
+    }
+
+    const quote = name => `"${name.replace(/"/g, '""')}"`;
+    if (!existing) {
+      const definitions = [...columns].map(([name, type]) => `${quote(name)} ${type}`);
+      await this.run(`CREATE TABLE "${safeTableName}" (snapshot_at TIMESTAMP, ${definitions.join(', ')})`);
+    } else {
+      for (const [name, type] of columns) {
+        if (!existing.has(name)) {
+          await this.run(`ALTER TABLE "${safeTableName}" ADD COLUMN ${quote(name)} ${type}`);
+        } else if (existing.get(name) !== type) {
+          await this.run(`ALTER TABLE "${safeTableName}" ALTER COLUMN ${quote(name)} TYPE ${type}${castUsing(quote(name), existing.get(name), type)}`);
+        }
+      }
+    }
+
+    // DuckDB reads the rows from a temporary NDJSON file, with the column types given
+    // instead of inferred (values already converted to them)
+    const tmpPath = path.join(this.dataDir, `.${safeTableName}.${Date.now()}.snapshot.ndjson`);
+    const lines = rows.map(row => JSON.stringify(Object.fromEntries(
+      [...columns].map(([name, type]) => [name, toColumnValue(row[name], type)])
+    )));
+    fs.writeFileSync(tmpPath, lines.join('\n') + '\n', 'utf8');
+    try {
+      const columnTypes = [...columns].map(([name, type]) => `'${name.replace(/'/g, "''")}': '${type}'`).join(', ');
+      await this.run(
+        `INSERT INTO "${safeTableName}" BY NAME SELECT CAST('${timestamp}' AS TIMESTAMP) AS snapshot_at, * ` +
+        `FROM read_json('${tmpPath.replace(/'/g, "''")}', format = 'newline_delimited', columns = {${columnTypes}})`
+      );
+    } finally {
+      fs.rmSync(tmpPath, { force: true });
+    }
+
+    return { tableName: safeTableName, rowCount: rows.length, snapshotAt: timestamp };
+  }
+
   /**
    * List all tables in the database
    */
@@ -281,4 +368,80 @@ class DuckDBService {
   }
 }
 
+/**
+ * DuckDB types that a DOUBLE column can take over
+ */
+const NUMERIC_TYPES = ['TINYINT', 'SMALLINT', 'INTEGER', 'BIGINT', 'HUGEINT', 'UTINYINT', 'USMALLINT',
+  'UINTEGER', 'UBIGINT', 'FLOAT', 'DOUBLE'];
+
+/**
+ * Column types of a snapshot's rows: BIGINT when every value is a whole number, DOUBLE
+ * when every value is a number, BOOLEAN when every value is true/false, VARCHAR
+ * otherwise, and null for columns without values
+ * @param {object[]} rows - Rows (column name -> value)
+ * @returns {Map<string, string|null>} Column name -> type, in first-seen order
+ */
+function snapshotColumnTypes(rows) {
+  const types = new Map();
+  for (const row of rows) {
+    for (const [name, value] of Object.entries(row)) {
+      if (name === 'snapshot_at') {
+        continue;
+      }
+      const type = value === null || value === undefined ? null
+        : Number.isSafeInteger(value) ? 'BIGINT'
+          : typeof value === 'number' && Number.isFinite(value) ? 'DOUBLE'
+            : typeof value === 'boolean' ? 'BOOLEAN'
+              : 'VARCHAR';
+      const seen = types.get(name);
+      types.set(name, seen === undefined || seen === null ? type : type === null ? seen : widenColumnType(seen, type));
+    }
+  }
+  return types;
+}
+
+/**
+ * The type a column needs to hold both its current values and a snapshot's
+ * @param {string} [current] - Type of the table column (undefined for a new column)
+ * @param {string|null} incoming - Type of the snapshot's values (null: no values)
+ */
+function widenColumnType(current, incoming) {
+  if (!current) {
+    return incoming || 'VARCHAR';
+  }
+  if (!incoming || current === incoming) {
+    return current;
+  }
+  const numeric = type => NUMERIC_TYPES.includes(type) || type.startsWith('DECIMAL');
+  return numeric(current) && numeric(incoming) ? 'DOUBLE' : 'VARCHAR';
+}
+
+/**
+ * The USING clause that changes a column's type: fractional columns turned into
+ * VARCHAR write whole numbers like JavaScript does (`200`, not `200.0`)
+ * @param {string} column - Quoted column name
+ * @param {string} current - Type of the column
+ * @param {string} type - New type
+ */
+function castUsing(column, current, type) {
+  if (type !== 'VARCHAR' || !['FLOAT', 'DOUBLE'].includes(current) && !current.startsWith('DECIMAL')) {
+    return '';
+  }
+  return ` USING CASE WHEN ${column} = trunc(${column}) AND abs(${column}) < 1e15` +
+    ` THEN CAST(CAST(${column} AS BIGINT) AS VARCHAR) ELSE CAST(${column} AS VARCHAR) END`;
+}
+
+/**
+ * A row value as written into a column of the given type
+ */
+function toColumnValue(value, type) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (type === 'VARCHAR' && typeof value !== 'string') {
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+  return value;
+}
+
 export { DuckDBService };
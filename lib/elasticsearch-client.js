@@ -0,0 +1,93 @@
+import axios from 'axios';
+import fs from 'fs';
+import https from 'https';
+import { SearchClient } from './search-client.js';
+
+/**
+ * Elasticsearch client talking to the Elasticsearch HTTP API directly (no Kibana)
+ */
+export class ElasticsearchClient extends SearchClient {
+  constructor(config = {}) {
+    super(config);
+    this.backend = 'elasticsearch';
+    this.baseUrl = (config.url || process.env.ES_URL || 'http://localhost:9200').replace(/\/+$/, '');
+    // Authentication: API key, bearer token, or username/password (first one set wins).
+    // No global credentials or TLS settings with `envCredentials: false` (see ClusterRegistry)
+    const env = config.envCredentials === false ? {} : process.env;
+    this.apiKey = config.apiKey || (env.ES_API_KEY ? env.ES_API_KEY.trim() : undefined);
+    this.bearerToken = config.bearerToken || (env.ES_BEARER_TOKEN ? env.ES_BEARER_TOKEN.trim() : undefined);
+    this.username = config.username || (env.ES_USERNAME ? env.ES_USERNAME.trim() : undefined);
+    this.password = config.password || (env.ES_PASSWORD ? env.ES_PASSWORD.trim() : undefined);
+    // TLS: custom CA bundle (PEM file) and certificate verification
+    this.caCert = config.caCert || env.ES_CA_CERT || undefined;
+    this.tlsVerify = config.tlsVerify ?? env.ES_TLS_VERIFY !== 'false';
+
+    this.httpsAgent = this.baseUrl.startsWith('https:')
+      ? new https.Agent({
+        ca: this.caCert ? fs.readFileSync(this.caCert) : undefined,
+        rejectUnauthorized: this.tlsVerify,
+        keepAlive: true,
+      })
+      : undefined;
+  }
+
+  /**
+   * Build authentication headers
+   */
+  getAuthHeaders() {
+    const headers = {};
+
+    if (this.apiKey) {
+      // Either the encoded key Elasticsearch returns, or "id:api_key"
+      const apiKey = this.apiKey.includes(':') ? Buffer.from(this.apiKey).toString('base64') : this.apiKey;
+      headers['Authorization'] = `ApiKey ${apiKey}`;
+    } else if (this.bearerToken) {
+      headers['Authorization'] = `Bearer ${this.bearerToken}`;
+    } else if (this.username && this.password) {
+      const credentials = Buffer.from(`${this.username}:${this.password}`).toString('base64');
+      headers['Authorization'] = `Basic ${credentials}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Send one request to Elasticsearch
+   * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
+   * @param {string} path - Elasticsearch path (e.g., '/my-index/_search')
+   * @param {Object|string} [body] - Request body (a string is sent verbatim, e.g. NDJSON)
+   * @returns {Promise<Object>} Elasticsearch response
+   */
+  async sendRequest(method, path, body) {
+    const isNdjson = typeof body === 'string';
+
+    try {
+      const response = await axios.request({
+        method,
+        url: `${this.baseUrl}${path}`,
+        data: body,
+        headers: {
+          'Content-Type': isNdjson ? 'application/x-ndjson' : 'application/json',
+          ...this.getAuthHeaders(),
+        },
+        httpsAgent: this.httpsAgent,
+        timeout: this.requestTimeoutMs,
+        // Large responses are the point of talking to Elasticsearch directly
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+        ...(isNdjson ? { transformRequest: [data => data] } : {}),
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        const apiError = new Error(
+          `Elasticsearch API error: ${error.response.status} ${error.response.statusText}\n` +
+          `Details: ${JSON.stringify(error.response.data, null, 2)}`
+        );
+        apiError.status = error.response.status;
+        throw apiError;
+      }
+      throw error;
+    }
+  }
+}
@@ -1,17 +1,25 @@
 import axios from 'axios';
+import { SearchClient } from './search-client.js';
 
 /**
  * Kibana client for executing Elasticsearch queries via Kibana's Console Proxy API
  */
-export class KibanaClient {
+export class KibanaClient extends SearchClient {
   constructor(config = {}) {
+    super(config);
+    this.backend = 'kibana';
     this.host = config.host || process.env.KIBANA_HOST || 'localhost';
     this.port = config.port || process.env.KIBANA_PORT || '5601';
     this.protocol = config.protocol || process.env.KIBANA_PROTOCOL || 'http';
     // Match poll-elastic.js pattern exactly - read from env or config, trim whitespace
-    this.username = config.username || (process.env.KIBANA_USERNAME ? process.env.KIBANA_USERNAME.trim() : undefined);
-    this.password = config.password || (process.env.KIBANA_PASSWORD ? process.env.KIBANA_PASSWORD.trim() : undefined);
-    this.authToken = config.authToken || (process.env.KIBANA_AUTH_TOKEN ? process.env.KIBANA_AUTH_TOKEN.trim() : undefined);
+    // (not with `envCredentials: false`, see ClusterRegistry)
+    const env = config.envCredentials === false ? {} : process.env;
+    this.username = config.username || (env.KIBANA_USERNAME ? env.KIBANA_USERNAME.trim() : undefined);
+    this.password = config.password || (env.KIBANA_PASSWORD ? env.KIBANA_PASSWORD.trim() : undefined);
+    this.authToken = config.authToken || (env.KIBANA_AUTH_TOKEN ? env.KIBANA_AUTH_TOKEN.trim() : undefined);
+    
+    // Kibana space whose console proxy is used (the default space when unset)
+    this.space = config.space || env.KIBANA_SPACE || undefined;
     
     this.baseUrl = `${this.protocol}://${this.host}:${this.port}`;
   }
@@ -47,51 +55,92 @@ export class KibanaClient {
   }
 
   /**
-   * Execute an Elasticsearch query via Kibana's Console Proxy API
-   * @param {string} index - Elasticsearch index pattern (e.g., 'my-index-*')
-   * @param {Object} queryBody - Elasticsearch query body
-   * @returns {Promise<Object>} Elasticsearch response
+   * URL path prefix of the client's Kibana space ('' for the default space)
    */
-  async search(index, queryBody) {
-    const path = `/${index}/_search`;
-    const url = `${this.baseUrl}/api/console/proxy?path=${encodeURIComponent(path)}&method=POST`;
-    
+  getSpacePath() {
+    return this.space ? `/s/${encodeURIComponent(this.space)}` : '';
+  }
+
+  /**
+   * Call Kibana's own HTTP API (in the client's space)
+   * @param {string} method - HTTP method
+   * @param {string} path - Kibana API path (e.g., '/api/data_views')
+   * @returns {Promise<Object>} Kibana response
+   */
+  async kibanaRequest(method, path) {
     try {
-      const response = await axios.post(url, queryBody, {
+      const response = await axios.request({
+        method,
+        url: `${this.baseUrl}${this.getSpacePath()}${path}`,
         headers: this.getAuthHeaders(),
+        timeout: this.requestTimeoutMs,
       });
       return response.data;
     } catch (error) {
-      if (error.response) {
-        throw new Error(
-          `Kibana API error: ${error.response.status} ${error.response.statusText}\n` +
-          `Details: ${JSON.stringify(error.response.data, null, 2)}`
-        );
-      }
-      throw error;
+      throw toApiError(error);
     }
   }
 
   /**
-   * Check cluster health
+   * List the Kibana data views of the client's space. Falls back to the saved
+   * objects API for Kibana versions before 8.0 (index patterns).
+   * @returns {Promise<Object[]>} [{ id, name, title }], sorted by name
    */
-  async checkHealth() {
-    const path = '/_cluster/health';
-    const url = `${this.baseUrl}/api/console/proxy?path=${encodeURIComponent(path)}&method=GET`;
-    
+  async getDataViews() {
+    let views;
+    try {
+      const result = await this.kibanaRequest('GET', '/api/data_views');
+      views = (result.data_view || []).map(view => ({ id: view.id, name: view.name || view.title, title: view.title }));
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      const result = await this.kibanaRequest('GET', '/api/saved_objects/_find?type=index-pattern&fields=title&fields=name&per_page=10000');
+      views = (result.saved_objects || []).map(object => ({
+        id: object.id,
+        name: object.attributes?.name || object.attributes?.title,
+        title: object.attributes?.title,
+      }));
+    }
+    return views.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Send one request to Elasticsearch through Kibana's Console Proxy API
+   * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
+   * @param {string} path - Elasticsearch path (e.g., '/my-index/_search')
+   * @param {Object|string} [body] - Request body (a string is sent verbatim, e.g. NDJSON)
+   * @returns {Promise<Object>} Elasticsearch response
+   */
+  async sendRequest(method, path, body) {
+    const url = `${this.baseUrl}${this.getSpacePath()}/api/console/proxy?path=${encodeURIComponent(path)}&method=${method}`;
+
     try {
-      const response = await axios.get(url, {
+      // The console proxy itself is always called with POST; `method` is forwarded to Elasticsearch
+      const response = await axios.post(url, body, {
         headers: this.getAuthHeaders(),
+        timeout: this.requestTimeoutMs,
+        // NDJSON bodies (_msearch) are sent as-is instead of being JSON-encoded
+        ...(typeof body === 'string' ? { transformRequest: [data => data] } : {}),
       });
       return response.data;
     } catch (error) {
-      if (error.response) {
-        throw new Error(
-          `Kibana API error: ${error.response.status} ${error.response.statusText}\n` +
-          `Details: ${JSON.stringify(error.response.data, null, 2)}`
-        );
-      }
-      throw error;
+      throw toApiError(error);
     }
   }
 }
+
+/**
+ * Turn an axios error with a response into an Error carrying the HTTP status
+ * and the response body; other errors are returned unchanged
+ * @param {Error} error - axios error
+ */
+function toApiError(error) {
+  if (!error.response) {
+    return error;
+  }
+  const apiError = new Error(
+    `Kibana API error: ${error.response.status} ${error.response.statusText}\n` +
+    `Details: ${JSON.stringify(error.response.data, null, 2)}`
+  );
+  apiError.status = error.response.status;
+  return apiError;
+}
@@ -0,0 +1,209 @@
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+
+/**
+ * Fields of a saved query that clients set
+ */
+export const SAVED_QUERY_FIELDS = [
+  'name', 'description', 'index', 'language', 'query', 'searches', 'params', 'templateId',
+  'cluster', 'convertOptions', 'tags',
+];
+
+/**
+ * Saved queries kept in one JSON file: a user's own library, or the team library
+ * shared by everyone. Every call reads the file and writes it back whole (through a
+ * temporary file), so concurrent requests of one server never see half a file.
+ */
+export class QueryLibrary {
+  /**
+   * @param {string} filePath - JSON file holding the library (created on the first save)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * All saved queries of the library, by name
+   * @param {Object} [options]
+   * @param {string} [options.tag] - Only queries with this tag
+   * @returns {Object[]}
+   */
+  list(options = {}) {
+    return this.load()
+      .filter(query => !options.tag || (query.tags || []).includes(options.tag))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * A saved query, or undefined
+   */
+  get(id) {
+    return this.load().find(query => query.id === id);
+  }
+
+  /**
+   * Save a new query
+   * @param {Object} data - Saved query fields (see SAVED_QUERY_FIELDS)
+   * @param {string} [username] - Author
+   * @returns {Object} The saved query
+   */
+  create(data, username = '') {
+    const queries = this.load();
+    const now = new Date().toISOString();
+    const query = {
+      id: randomUUID(),
+      ...pickFields(data),
+      createdBy: username,
+      createdAt: now,
+      updatedBy: username,
+      updatedAt: now,
+      lastRun: null,
+    };
+    queries.push(query);
+    this.save(queries);
+    return query;
+  }
+
+  /**
+   * Change the fields given in `data`; the others are kept
+   * @returns {Object|undefined} The updated query, or undefined when there is no such query
+   */
+  update(id, data, username = '') {
+    return this.change(id, query => {
+      Object.assign(query, pickFields(data), { updatedBy: username, updatedAt: new Date().toISOString() });
+    });
+  }
+
+  /**
+   * Delete a saved query
+   * @returns {boolean} False when there is no such query
+   */
+  remove(id) {
+    const queries = this.load();
+    const remaining = queries.filter(query => query.id !== id);
+    if (remaining.length === queries.length) {
+      return false;
+    }
+    this.save(remaining);
+    return true;
+  }
+
+  /**
+   * Record the latest run of a saved query
+   * @param {string} id - Saved query id
+   * @param {Object} run - { at, by, filename, cluster, hits, total, rows }
+   * @returns {Object|undefined} The updated query
+   */
+  recordRun(id, run) {
+    return this.change(id, query => {
+      query.lastRun = run;
+    });
+  }
+
+  /**
+   * Add details to the latest run if it stored the given result file, e.g. the
+   * row count once the file has been converted. Results of older runs are ignored.
+   * @param {string} id - Saved query id
+   * @param {string} filename - Result file of the run
+   * @param {Object} details - Run details to set
+   * @returns {Object|undefined} The updated query
+   */
+  completeRun(id, filename, details) {
+    return this.change(id, query => {
+      if (query.lastRun?.filename !== filename) {
+        return false;
+      }
+      Object.assign(query.lastRun, details);
+    });
+  }
+
+  /**
+   * Apply a change to one saved query and save it (unless the change returns false)
+   */
+  change(id, apply) {
+    const queries = this.load();
+    const query = queries.find(q => q.id === id);
+    if (!query || apply(query) === false) {
+      return query;
+    }
+    this.save(queries);
+    return query;
+  }
+
+  /**
+   * Read the library ([] when the file does not exist yet)
+   */
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).queries || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the library
+   */
+  save(queries) {
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ queries }, null, 2), 'utf8');
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+/**
+ * The saved query libraries of a server, by scope: every user's own library
+ * (`user`) and the team library shared by everyone (`team`, unless turned off).
+ * A user only reaches their own `user` library.
+ */
+export class QueryLibraries {
+  /**
+   * @param {Object} options
+   * @param {Function} options.userFile - (username) => JSON file of the user's library
+   * @param {string|null} [options.teamFile] - JSON file of the team library (null: no team library)
+   */
+  constructor({ userFile, teamFile = null }) {
+    this.userFile = userFile;
+    this.teamFile = teamFile;
+  }
+
+  /**
+   * Library scopes available to users
+   */
+  scopes() {
+    return this.teamFile ? ['user', 'team'] : ['user'];
+  }
+
+  /**
+   * Saved query library of a scope, as seen by a user
+   * @param {string} scope - 'user' or 'team'
+   * @param {string} username - Username (email)
+   * @returns {QueryLibrary|null} null for an unknown (or disabled) scope
+   */
+  get(scope, username) {
+    if (scope === 'user') {
+      return new QueryLibrary(this.userFile(username));
+    }
+    if (scope === 'team' && this.teamFile) {
+      return new QueryLibrary(this.teamFile);
+    }
+    return null;
+  }
+
+  /**
+   * A saved query by its { scope, id }, or undefined
+   */
+  find(savedQuery, username) {
+    return this.get(savedQuery?.scope, username)?.get(savedQuery?.id);
+  }
+}
+
+/**
+ * The saved query fields of a request body (unknown fields are dropped)
+ */
+function pickFields(data) {
+  return Object.fromEntries(SAVED_QUERY_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+}
@@ -0,0 +1,280 @@
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import { Cron } from 'croner';
+
+/**
+ * Fields of a schedule that clients set
+ */
+export const SCHEDULE_FIELDS = ['name', 'savedQuery', 'cron', 'timezone', 'table', 'convertOptions', 'paused'];
+
+/**
+ * Runs saved queries on cron expressions. Schedules (with a log of their latest
+ * runs) are kept in one JSON file and armed again when the server starts. What
+ * a run does is up to the `run` callback; the scheduler times it, keeps one run
+ * of a schedule from overlapping the next, and logs the outcome.
+ */
+export class QueryScheduler {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - JSON file holding the schedules
+   * @param {Function} options.run - async (schedule) => details; details are added to the run log entry
+   * @param {number} [options.logSize] - Runs kept per schedule (default SCHEDULE_RUN_LOG_SIZE, 100)
+   * @param {boolean} [options.enabled] - Run schedules at all (default unless SCHEDULER_ENABLED=false)
+   */
+  constructor(options) {
+    this.file = options.file;
+    this.run = options.run;
+    this.logSize = Number(options.logSize || process.env.SCHEDULE_RUN_LOG_SIZE || 100);
+    this.enabled = options.enabled ?? process.env.SCHEDULER_ENABLED !== 'false';
+    this.timers = new Map();
+    this.running = new Set();
+  }
+
+  /**
+   * Arm every schedule that is not paused
+   */
+  start() {
+    if (!this.enabled) {
+      return;
+    }
+    for (const schedule of this.load()) {
+      this.arm(schedule);
+    }
+  }
+
+  /**
+   * Stop every timer (schedules stay saved)
+   */
+  stop() {
+    for (const timer of this.timers.values()) {
+      timer.stop();
+    }
+    this.timers.clear();
+  }
+
+  /**
+   * A user's schedules, by name (without their run logs)
+   */
+  list(username) {
+    return this.load()
+      .filter(schedule => schedule.username === username)
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(schedule => this.view(schedule));
+  }
+
+  /**
+   * A user's schedule with its run log, or undefined
+   */
+  get(id, username) {
+    const schedule = this.load().find(s => s.id === id && s.username === username);
+    return schedule && { ...this.view(schedule), runs: schedule.runs };
+  }
+
+  /**
+   * Create a schedule
+   * @param {Object} data - Schedule fields (see SCHEDULE_FIELDS); `cron` must be valid (see cronError)
+   * @param {string} username - Owner; runs execute as this user
+   * @returns {Object} The new schedule
+   */
+  create(data, username) {
+    const schedules = this.load();
+    const now = new Date().toISOString();
+    const schedule = {
+      id: randomUUID(),
+      paused: false,
+      ...pickFields(data),
+      username,
+      createdAt: now,
+      updatedAt: now,
+      lastRun: null,
+      runs: [],
+    };
+    schedules.push(schedule);
+    this.save(schedules);
+    this.arm(schedule);
+    return this.view(schedule);
+  }
+
+  /**
+   * Change the fields given in `data` (e.g. `paused`); the schedule is armed again
+   * @returns {Object|undefined} The updated schedule
+   */
+  update(id, username, data) {
+    const schedule = this.change(id, username, s => {
+      Object.assign(s, pickFields(data), { updatedAt: new Date().toISOString() });
+    });
+    if (schedule) {
+      this.arm(schedule);
+    }
+    return schedule && this.view(schedule);
+  }
+
+  /**
+   * Delete a schedule
+   * @returns {boolean} False when there is no such schedule
+   */
+  remove(id, username) {
+    const schedules = this.load();
+    const remaining = schedules.filter(s => !(s.id === id && s.username === username));
+    if (remaining.length === schedules.length) {
+      return false;
+    }
+    this.save(remaining);
+    this.disarm(id);
+    return true;
+  }
+
+  /**
+   * Run a schedule now (also when paused)
+   * @returns {Promise<Object|undefined>} The run log entry, or undefined when there is no such schedule
+   */
+  async runNow(id, username) {
+    const schedule = this.load().find(s => s.id === id && s.username === username);
+    return schedule && this.execute(schedule.id);
+  }
+
+  /**
+   * Run a schedule and log the outcome. A run is skipped while the previous one
+   * of the same schedule is still going. Never rejects: when the schedules file
+   * can't be read or written, the failure goes to the console instead of the run log.
+   * @returns {Promise<Object>} The run log entry
+   */
+  async execute(id) {
+    const startedAt = new Date();
+    let schedule;
+    try {
+      schedule = this.load().find(s => s.id === id);
+    } catch (error) {
+      console.error(`Scheduled run of ${id} failed: could not read the schedules:`, error.message);
+      return { startedAt: startedAt.toISOString(), finishedAt: new Date().toISOString(), status: 'failed', error: error.message };
+    }
+    if (!schedule) {
+      this.disarm(id);
+      return undefined;
+    }
+
+    let entry;
+    if (this.running.has(id)) {
+      entry = { startedAt: startedAt.toISOString(), finishedAt: startedAt.toISOString(), status: 'skipped', error: 'The previous run is still going' };
+    } else {
+      this.running.add(id);
+      try {
+        const details = await this.run(schedule);
+        entry = { startedAt: startedAt.toISOString(), finishedAt: new Date().toISOString(), status: 'success', ...details };
+      } catch (error) {
+        // API errors carry the response body on the following lines
+        entry = { startedAt: startedAt.toISOString(), finishedAt: new Date().toISOString(), status: 'failed', error: error.message.split('\n')[0] };
+        console.error(`Scheduled run of "${schedule.name}" failed:`, error.message);
+      } finally {
+        this.running.delete(id);
+      }
+    }
+
+    // Newest first, capped at logSize entries
+    try {
+      this.change(id, schedule.username, s => {
+        s.lastRun = entry;
+        s.runs = [entry, ...(s.runs || [])].slice(0, this.logSize);
+      });
+    } catch (error) {
+      console.error(`Could not log the run of "${schedule.name}":`, error.message);
+    }
+    return entry;
+  }
+
+  /**
+   * What clients see of a schedule: no run log, plus the time of the next run
+   */
+  view(schedule) {
+    const { runs, ...rest } = schedule;
+    const next = this.timers.get(schedule.id)?.nextRun();
+    return { ...rest, nextRun: next ? next.toISOString() : null };
+  }
+
+  /**
+   * Start (or restart) the timer of a schedule; paused schedules get none
+   */
+  arm(schedule) {
+    this.disarm(schedule.id);
+    if (!this.enabled || schedule.paused) {
+      return;
+    }
+    // Timer callbacks have no one to reject to: an error here would end the server
+    const timer = new Cron(schedule.cron, { timezone: schedule.timezone || undefined }, () => {
+      this.execute(schedule.id).catch(error => console.error(`Scheduled run of "${schedule.name}" failed:`, error));
+    });
+    this.timers.set(schedule.id, timer);
+  }
+
+  /**
+   * Stop the timer of a schedule
+   */
+  disarm(id) {
+    this.timers.get(id)?.stop();
+    this.timers.delete(id);
+  }
+
+  /**
+   * Apply a change to one of a user's schedules and save it
+   */
+  change(id, username, apply) {
+    const schedules = this.load();
+    const schedule = schedules.find(s => s.id === id && s.username === username);
+    if (!schedule) {
+      return undefined;
+    }
+    apply(schedule);
+    this.save(schedules);
+    return schedule;
+  }
+
+  /**
+   * Read the schedules ([] when the file does not exist yet)
+   */
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8')).schedules || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the schedules
+   */
+  save(schedules) {
+    const tmpPath = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ schedules }, null, 2), 'utf8');
+    fs.renameSync(tmpPath, this.file);
+  }
+}
+
+/**
+ * Why a cron expression (or time zone) is invalid, or null when it is valid
+ * @param {string} pattern - Cron expression: 5 fields (minute hour day month weekday), or 6 with seconds first
+ * @param {string} [timezone] - IANA time zone, e.g. Europe/Berlin (default: the server's)
+ */
+export function cronError(pattern, timezone) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    return 'A cron expression is required';
+  }
+  try {
+    const timer = new Cron(pattern, { paused: true, timezone: timezone || undefined });
+    // An unknown time zone only shows when the next run is computed
+    timer.nextRun();
+    timer.stop();
+    return null;
+  } catch (error) {
+    return `Invalid cron expression "${pattern}": ${error.message}`;
+  }
+}
+
+/**
+ * The schedule fields of a request body (unknown fields are dropped)
+ */
+function pickFields(data) {
+  return Object.fromEntries(SCHEDULE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+}
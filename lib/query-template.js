@@ -0,0 +1,251 @@
+/**
+ * Query templates: `{{name}}` placeholders in a query body (or an ES|QL/SQL
+ * string) filled from a params object, with relative dates resolved on the server.
+ *
+ *   { "range": { "@timestamp": { "gte": "{{from|now-7d/d}}", "lt": "{{start_of_today}}" } } }
+ *
+ * A placeholder is `{{name}}` or `{{name|default}}`. Its value comes from
+ * `params[name]`, else the default, else — when the name itself is a date
+ * expression — the resolved date. Values that are date expressions
+ * (`now-7d/d`, `start_of_last_month`, ...) become ISO timestamps.
+ */
+
+const PLACEHOLDER = /\{\{\s*([^{}|]+?)\s*(?:\|\s*([^{}]*?)\s*)?\}\}/g;
+
+/**
+ * Named dates: [unit to round to, offset in that unit, end of the period instead of its start]
+ */
+const NAMED_DATES = {
+  today: ['d', 0],
+  yesterday: ['d', -1],
+  start_of_today: ['d', 0],
+  start_of_yesterday: ['d', -1],
+  end_of_yesterday: ['d', -1, true],
+  start_of_this_week: ['w', 0],
+  start_of_last_week: ['w', -1],
+  end_of_last_week: ['w', -1, true],
+  start_of_this_month: ['M', 0],
+  start_of_last_month: ['M', -1],
+  end_of_last_month: ['M', -1, true],
+  start_of_this_quarter: ['Q', 0],
+  start_of_last_quarter: ['Q', -1],
+  end_of_last_quarter: ['Q', -1, true],
+  start_of_this_year: ['y', 0],
+  start_of_last_year: ['y', -1],
+  end_of_last_year: ['y', -1, true],
+};
+
+const DATE_MATH = /^now((?:[+-]\d+[yMwdhHms])*)(?:\/([yMwdhHms]))?$/;
+
+/**
+ * Names of the placeholders in a template, in order of appearance
+ * @param {Object|string} template - Query body or query string
+ * @returns {Array<{name: string, default: string|undefined, date: boolean}>}
+ *   `date` is true when the name itself is a date expression (no param needed)
+ */
+export function findTemplateParams(template) {
+  const text = typeof template === 'string' ? template : JSON.stringify(template);
+  const params = new Map();
+  for (const [, name, defaultValue] of text.matchAll(PLACEHOLDER)) {
+    if (!params.has(name)) {
+      params.set(name, { name, default: defaultValue, date: isDateExpression(name) });
+    }
+  }
+  return [...params.values()];
+}
+
+/**
+ * True if a template contains placeholders
+ * @param {Object|string} template - Query body or query string
+ */
+export function hasPlaceholders(template) {
+  return findTemplateParams(template).length > 0;
+}
+
+/**
+ * Fill in the placeholders of a template. A string that is exactly one
+ * placeholder takes the param's JSON type (number, boolean, array, object);
+ * placeholders inside longer strings (and object keys) are replaced by text.
+ * @param {Object|string} template - Query body or query string
+ * @param {Object} [params] - Values per placeholder name
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time for date expressions (default: now)
+ * @returns {Object|string} The rendered template
+ * @throws {Error} When params are missing or a date expression is invalid
+ */
+export function renderTemplate(template, params = {}, options = {}) {
+  const now = options.now || new Date();
+  const missing = findTemplateParams(template)
+    .filter(p => !Object.hasOwn(params, p.name) && p.default === undefined && !p.date)
+    .map(p => p.name);
+  if (missing.length > 0) {
+    throw new Error(`Missing template params: ${missing.join(', ')}`);
+  }
+
+  const valueOf = (name, defaultValue) => {
+    const value = Object.hasOwn(params, name) ? params[name] : defaultValue !== undefined ? parseDefault(defaultValue) : name;
+    return typeof value === 'string' && isDateExpression(value) ? resolveDate(value, now) : value;
+  };
+  const renderString = (text) => {
+    const whole = text.match(new RegExp(`^${PLACEHOLDER.source}$`));
+    if (whole) {
+      return valueOf(whole[1], whole[2]);
+    }
+    return text.replace(PLACEHOLDER, (match, name, defaultValue) => {
+      const value = valueOf(name, defaultValue);
+      return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+    });
+  };
+  const render = (value) => {
+    if (typeof value === 'string') {
+      return renderString(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(render);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [String(renderString(key)), render(item)]));
+    }
+    return value;
+  };
+
+  if (typeof template === 'string') {
+    // Query strings (ES|QL, SQL) only get text replacement
+    return template.replace(PLACEHOLDER, (match, name, defaultValue) => String(valueOf(name, defaultValue)));
+  }
+  return render(template);
+}
+
+/**
+ * Fill in the template placeholders of a query, or of every search of a multi-search
+ * (queries without placeholders are left as they are)
+ * @param {Object} request - { query, searches, params }
+ * @param {Object} [options] - { now }
+ * @returns {Object} { renderedQuery, renderedSearches }
+ * @throws {Error} When params are missing or a date expression is invalid
+ */
+export function renderQueryRequest({ query, searches, params }, options = {}) {
+  if (searches) {
+    return { renderedSearches: searches.map(search => ({ ...search, query: renderTemplate(search.query, params, options) })) };
+  }
+  return { renderedQuery: query ? renderTemplate(query, params, options) : query };
+}
+
+/**
+ * Resolve the date expressions among params values (for stored search
+ * templates, which are rendered by Elasticsearch)
+ * @param {Object} params - Template params
+ * @param {Object} [options] - { now }
+ * @returns {Object} Params with date expressions replaced by ISO timestamps
+ */
+export function resolveParamDates(params = {}, options = {}) {
+  const now = options.now || new Date();
+  return Object.fromEntries(Object.entries(params).map(([name, value]) => [
+    name,
+    typeof value === 'string' && isDateExpression(value) ? resolveDate(value, now) : value,
+  ]));
+}
+
+/**
+ * True if a string is a date expression: `now` date math or a named date
+ * @param {string} value
+ */
+export function isDateExpression(value) {
+  return Object.hasOwn(NAMED_DATES, value) || DATE_MATH.test(value);
+}
+
+/**
+ * Resolve a date expression to an ISO timestamp (UTC). Date math follows
+ * Elasticsearch: `now-7d/d` is seven days ago, rounded down to midnight;
+ * weeks start on Monday.
+ * @param {string} expression - `now[+-N<unit>]...[/<unit>]` or a named date
+ * @param {Date} [now] - Reference time
+ * @returns {string} ISO timestamp
+ */
+export function resolveDate(expression, now = new Date()) {
+  if (Object.hasOwn(NAMED_DATES, expression)) {
+    const [unit, offset, end] = NAMED_DATES[expression];
+    const start = addUnits(roundDown(now, unit), unit, offset);
+    // The end of a period is the last millisecond before the next one starts
+    return (end ? new Date(addUnits(start, unit, 1).getTime() - 1) : start).toISOString();
+  }
+
+  const match = expression.match(DATE_MATH);
+  if (!match) {
+    throw new Error(`Invalid date expression "${expression}"`);
+  }
+  let date = new Date(now.getTime());
+  for (const [, sign, amount, unit] of match[1].matchAll(/([+-])(\d+)([yMwdhHms])/g)) {
+    date = addUnits(date, unit, Number(amount) * (sign === '-' ? -1 : 1));
+  }
+  if (match[2]) {
+    date = roundDown(date, match[2]);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Defaults are JSON values when they parse as one (`{{size|10}}` is a number), else text
+ */
+function parseDefault(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Add a number of date units (UTC). Like Elasticsearch, months and years keep
+ * the day of month, clamped to the last day (March 31 minus a month is February 29).
+ */
+function addUnits(date, unit, amount) {
+  const result = new Date(date.getTime());
+  switch (unit) {
+    case 'y': return addMonths(result, amount * 12);
+    case 'Q': return addMonths(result, amount * 3);
+    case 'M': return addMonths(result, amount);
+    case 'w': result.setUTCDate(result.getUTCDate() + amount * 7); break;
+    case 'd': result.setUTCDate(result.getUTCDate() + amount); break;
+    case 'h':
+    case 'H': result.setUTCHours(result.getUTCHours() + amount); break;
+    case 'm': result.setUTCMinutes(result.getUTCMinutes() + amount); break;
+    case 's': result.setUTCSeconds(result.getUTCSeconds() + amount); break;
+  }
+  return result;
+}
+
+/**
+ * Add months, clamping the day to the length of the target month
+ */
+function addMonths(date, months) {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+  return result;
+}
+
+/**
+ * Round a date down to the start of its unit (UTC)
+ */
+function roundDown(date, unit) {
+  const y = date.getUTCFullYear();
+  const M = date.getUTCMonth();
+  const d = date.getUTCDate();
+  switch (unit) {
+    case 'y': return new Date(Date.UTC(y, 0, 1));
+    case 'Q': return new Date(Date.UTC(y, M - (M % 3), 1));
+    case 'M': return new Date(Date.UTC(y, M, 1));
+    // Monday of the week
+    case 'w': return new Date(Date.UTC(y, M, d - ((date.getUTCDay() + 6) % 7)));
+    case 'd': return new Date(Date.UTC(y, M, d));
+    case 'h':
+    case 'H': return new Date(Date.UTC(y, M, d, date.getUTCHours()));
+    case 'm': return new Date(Date.UTC(y, M, d, date.getUTCHours(), date.getUTCMinutes()));
+    case 's': return new Date(Date.UTC(y, M, d, date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()));
+  }
+  return date;
+}
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Provenance of stored results, kept in a hidden sidecar file next to each one:
+ *   query results: { cluster, savedQuery?, user, createdAt, rerunOf?, request, response }
+ *   converted files: { cluster, user, createdAt, sourceFile, convertOptions, rows, columns }
+ * `request` is the query as requested (placeholders unfilled, plus `renderedQuery`
+ * when they were filled in), so a re-run resolves relative dates again.
+ */
+
+/**
+ * Path of the sidecar of a stored result
+ */
+export function getMetaPath(userDataDir, filename) {
+  return path.join(userDataDir, `.${filename}.meta.json`);
+}
+
+/**
+ * Write the sidecar of a stored result
+ */
+export function writeResultMeta(userDataDir, filename, meta) {
+  fs.writeFileSync(getMetaPath(userDataDir, filename), JSON.stringify(meta, null, 2), 'utf8');
+}
+
+/**
+ * Read the sidecar of a stored result ({} when there is none)
+ */
+export function readResultMeta(userDataDir, filename) {
+  try {
+    return JSON.parse(fs.readFileSync(getMetaPath(userDataDir, filename), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Move the sidecar of a renamed result, and point the files converted from it or
+ * re-run from it to the new name
+ */
+export function renameResultMeta(userDataDir, filename, newFilename) {
+  if (fs.existsSync(getMetaPath(userDataDir, filename))) {
+    fs.renameSync(getMetaPath(userDataDir, filename), getMetaPath(userDataDir, newFilename));
+  }
+  for (const entry of fs.readdirSync(userDataDir)) {
+    const match = entry.match(/^\.(.+)\.meta\.json$/);
+    const meta = match && readResultMeta(userDataDir, match[1]);
+    if (meta && (meta.sourceFile === filename || meta.rerunOf === filename)) {
+      writeResultMeta(userDataDir, match[1], {
+        ...meta,
+        ...(meta.sourceFile === filename ? { sourceFile: newFilename } : {}),
+        ...(meta.rerunOf === filename ? { rerunOf: newFilename } : {}),
+      });
+    }
+  }
+}
+
+/**
+ * Sidecar of a stored query result
+ * @param {Object} details - { username, cluster, request, response, savedQuery, rerunOf }
+ */
+export function queryResultMeta({ username, cluster, request, response, savedQuery, rerunOf }) {
+  return {
+    cluster,
+    ...(savedQuery ? { savedQuery } : {}),
+    user: username || null,
+    createdAt: new Date().toISOString(),
+    ...(rerunOf ? { rerunOf } : {}),
+    request,
+    response,
+  };
+}
+
+/**
+ * What a stored response says about how it ran: time taken, timeouts, shards and
+ * shard failures (summed over the searches of a multi-search)
+ */
+export function summarizeResponse(esResponse, searches) {
+  const responses = searches ? esResponse.responses.filter(r => !r.error) : [esResponse];
+  const withShards = responses.filter(r => r._shards);
+  const shards = withShards.length === 0 ? null : Object.fromEntries(['total', 'successful', 'skipped', 'failed'].map(key => [
+    key, withShards.reduce((sum, r) => sum + (r._shards[key] || 0), 0),
+  ]));
+  return {
+    took: esResponse.took ?? null,
+    timedOut: responses.some(r => r.timed_out === true),
+    shards,
+    shardFailures: responses.flatMap(r => (r._shards?.failures || []).map(failure => (searches ? { label: r.label, ...failure } : failure))),
+  };
+}
+
+/**
+ * What re-running a stored result runs: the query recorded for it, or for a
+ * converted file the query of the result it came from
+ * @param {string} userDataDir - Directory of the user's files
+ * @param {string} filename - Stored result or converted file
+ * @returns {Object|null} { request, cluster, savedQuery, rerunOf, convertOptions? }; `request`
+ *   is the query as requested. null when no query is recorded.
+ */
+export function rerunSource(userDataDir, filename) {
+  const meta = readResultMeta(userDataDir, filename);
+  const source = meta.sourceFile ? readResultMeta(userDataDir, meta.sourceFile) : meta;
+  if (!source.request) {
+    return null;
+  }
+  const { renderedQuery, ...request } = source.request;
+  return {
+    request,
+    cluster: source.cluster,
+    savedQuery: source.savedQuery,
+    rerunOf: meta.sourceFile || filename,
+    ...(meta.sourceFile ? { convertOptions: meta.convertOptions || {} } : {}),
+  };
+}
@@ -0,0 +1,581 @@
+import fs from 'fs';
+
+/**
+ * Base class of the Elasticsearch clients. Implements searches, pagination and
+ * exports on top of `request`, which each backend implements: `KibanaClient`
+ * goes through Kibana's Console Proxy API, `ElasticsearchClient` talks to
+ * Elasticsearch directly. Use `createClient` to get the configured one.
+ */
+export class SearchClient {
+  constructor(config = {}) {
+    // Safeguard against runaway composite pagination
+    this.compositeMaxPages = Number(config.compositeMaxPages || process.env.COMPOSITE_MAX_PAGES || 1000);
+    // ...and against runaway SQL cursors
+    this.sqlMaxPages = Number(config.sqlMaxPages || process.env.SQL_MAX_PAGES || 1000);
+    // Full hit exports: hits per page and the most hits written
+    this.exportPageSize = Number(config.exportPageSize || process.env.EXPORT_PAGE_SIZE || 5000);
+    this.exportMaxDocs = Number(config.exportMaxDocs || process.env.EXPORT_MAX_DOCS || 1000000);
+    // Per-request timeout, and retries with exponential backoff for unavailable clusters
+    this.requestTimeoutMs = Number(config.requestTimeoutMs ?? process.env.ES_REQUEST_TIMEOUT_MS ?? 300000);
+    this.maxRetries = Number(config.maxRetries ?? process.env.ES_MAX_RETRIES ?? 2);
+    this.retryBackoffMs = Number(config.retryBackoffMs ?? process.env.ES_RETRY_BACKOFF_MS ?? 500);
+  }
+
+  /**
+   * Send a request to Elasticsearch, retrying failures up to `maxRetries` times
+   * with exponential backoff. Reads (see isIdempotent) are retried on connection
+   * failures and 429/502/503/504 answers. Requests that open something or advance a
+   * cursor (async search submits, point in time, scroll) may already have run when a
+   * gateway fails, so they are only retried when Elasticsearch never got them: the
+   * connection could not be made, or it answered 429. Timed-out requests are not retried.
+   * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
+   * @param {string} path - Elasticsearch path (e.g., '/my-index/_search')
+   * @param {Object|string} [body] - Request body (a string is sent verbatim, e.g. NDJSON)
+   * @returns {Promise<Object>} Elasticsearch response
+   */
+  async request(method, path, body) {
+    const idempotent = isIdempotent(method, path, body);
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.sendRequest(method, path, body);
+      } catch (error) {
+        if (attempt >= this.maxRetries || !isRetryable(error, idempotent)) {
+          throw error;
+        }
+        const delay = this.retryBackoffMs * 2 ** attempt;
+        console.warn(`${method} ${path} failed (${error.status || error.code}), retrying in ${delay} ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Send one request to Elasticsearch; implemented by each backend.
+   * API errors carry the HTTP status as `error.status`.
+   * @param {string} method - HTTP method
+   * @param {string} path - Elasticsearch path
+   * @param {Object|string} [body] - Request body
+   * @returns {Promise<Object>} Elasticsearch response
+   */
+  async sendRequest(method, path, body) {
+    throw new Error(`${this.constructor.name} does not implement sendRequest()`);
+  }
+
+  /**
+   * Execute an Elasticsearch query.
+   * Top-level composite aggregations are paginated with `after_key` until every
+   * page has been fetched; the pages are merged into a single response.
+   * @param {string} index - Elasticsearch index pattern (e.g., 'my-index-*')
+   * @param {Object} queryBody - Elasticsearch query body
+   * @param {Object} [options]
+   * @param {boolean} [options.followAfterKey=true] - Follow composite `after_key` pagination
+   * @returns {Promise<Object>} Elasticsearch response
+   */
+  async search(index, queryBody, options = {}) {
+    const path = `/${index}/_search`;
+    const response = await this.request('POST', path, queryBody);
+
+    if (options.followAfterKey === false) {
+      return response;
+    }
+    return this.fetchRemainingCompositePages(path, queryBody, response);
+  }
+
+  /**
+   * Execute several searches as one `_msearch` request.
+   * Each response carries the entry's `label` and `index`; failed entries keep the
+   * `error` Elasticsearch returned, so one failure doesn't fail the batch.
+   * Top-level composite aggregations are paginated per entry, like search().
+   * @param {Array<{index: string, query: Object, label?: string}>} searches - Searches to run
+   * @param {Object} [options]
+   * @param {boolean} [options.followAfterKey=true] - Follow composite `after_key` pagination
+   * @returns {Promise<Object>} `_msearch` response ({ took, responses: [...] })
+   */
+  async msearch(searches, options = {}) {
+    // NDJSON: a header line and a body line per search
+    const body = searches
+      .map(({ index, query }) => `${JSON.stringify({ index })}\n${JSON.stringify(query || {})}\n`)
+      .join('');
+    const result = await this.request('POST', '/_msearch', body);
+
+    const responses = [];
+    for (const [i, { index, query, label }] of searches.entries()) {
+      let response = result.responses?.[i] || { error: { reason: 'No response for this search' } };
+      if (!response.error && options.followAfterKey !== false) {
+        try {
+          response = await this.fetchRemainingCompositePages(`/${index}/_search`, query, response);
+        } catch (error) {
+          response = { error: { reason: error.message } };
+        }
+      }
+      responses.push({ label: label || index, index, ...response });
+    }
+    return { took: result.took, responses };
+  }
+
+  /**
+   * Fetch the remaining pages of every top-level composite aggregation and
+   * append their buckets to the first response
+   * @param {string} path - Search path
+   * @param {Object} queryBody - Original query body
+   * @param {Object} response - First page response
+   * @returns {Promise<Object>} Merged response
+   */
+  async fetchRemainingCompositePages(path, queryBody, response) {
+    const aggDefs = queryBody?.aggs || queryBody?.aggregations || {};
+    const compositeNames = Object.keys(aggDefs).filter(name => aggDefs[name]?.composite && response.aggregations?.[name]);
+    if (compositeNames.length === 0) {
+      return response;
+    }
+
+    const pending = compositeNames.filter(name => hasMoreCompositePages(aggDefs[name], response.aggregations[name]));
+    let pages = 1;
+
+    while (pending.length > 0) {
+      if (pages >= this.compositeMaxPages) {
+        throw new Error(`Composite pagination exceeded ${this.compositeMaxPages} pages`);
+      }
+
+      // Only re-request the composite aggregations that still have pages left
+      const pageAggs = {};
+      for (const name of pending) {
+        const def = aggDefs[name];
+        pageAggs[name] = {
+          ...def,
+          composite: { ...def.composite, after: response.aggregations[name].after_key }
+        };
+      }
+      const { aggs, aggregations, ...rest } = queryBody;
+      const page = await this.request('POST', path, { ...rest, size: 0, track_total_hits: false, aggs: pageAggs });
+      pages++;
+
+      if (typeof page.took === 'number' && typeof response.took === 'number') {
+        response.took += page.took;
+      }
+
+      for (const name of [...pending]) {
+        const merged = response.aggregations[name];
+        const pageAgg = page.aggregations?.[name] || { buckets: [] };
+        merged.buckets.push(...(pageAgg.buckets || []));
+        merged.after_key = pageAgg.after_key;
+        if (!hasMoreCompositePages(aggDefs[name], pageAgg)) {
+          pending.splice(pending.indexOf(name), 1);
+        }
+      }
+    }
+
+    // Every page has been merged, so there is nothing left to continue from
+    for (const name of compositeNames) {
+      delete response.aggregations[name].after_key;
+    }
+    return response;
+  }
+
+  /**
+   * Execute a search template (`_search/template`), stored on the cluster
+   * (`{ id, params }`) or inline (`{ source, params }`). Elasticsearch renders
+   * the template with Mustache.
+   * @param {string} index - Elasticsearch index pattern
+   * @param {Object} templateBody - { id | source, params }
+   * @returns {Promise<Object>} Elasticsearch response
+   */
+  async searchTemplate(index, templateBody) {
+    return this.request('POST', `/${index}/_search/template`, templateBody);
+  }
+
+  /**
+   * Execute an ES|QL query
+   * @param {string|Object} query - ES|QL query string, or a request body ({ query, params, filter, ... })
+   * @returns {Promise<Object>} ES|QL response ({ columns: [{name, type}], values: [[...]] })
+   */
+  async esql(query) {
+    const body = typeof query === 'string' ? { query } : query;
+    return this.request('POST', '/_query', body);
+  }
+
+  /**
+   * Execute an Elasticsearch SQL query. The cursor is followed until every
+   * page has been fetched; the pages' rows are merged into a single response.
+   * @param {string|Object} query - SQL query string, or a request body ({ query, fetch_size, params, filter, ... })
+   * @param {Object} [options]
+   * @param {boolean} [options.followCursor=true] - Fetch the remaining pages
+   * @returns {Promise<Object>} SQL response ({ columns: [{name, type}], rows: [[...]] })
+   */
+  async sql(query, options = {}) {
+    const body = typeof query === 'string' ? { query } : query;
+    const response = await this.request('POST', '/_sql?format=json', body);
+
+    if (options.followCursor === false) {
+      return response;
+    }
+
+    let pages = 1;
+    while (response.cursor) {
+      if (pages >= this.sqlMaxPages) {
+        // Free the search context on the cluster before giving up
+        await this.request('POST', '/_sql/close', { cursor: response.cursor }).catch(() => {});
+        throw new Error(`SQL cursor pagination exceeded ${this.sqlMaxPages} pages`);
+      }
+      const page = await this.request('POST', '/_sql?format=json', { cursor: response.cursor });
+      pages++;
+      response.rows.push(...(page.rows || []));
+      response.cursor = page.cursor;
+    }
+
+    // Every page has been merged, so there is nothing left to continue from
+    delete response.cursor;
+    return response;
+  }
+
+  /**
+   * Submit a search as an async search. Returns once the search completes or
+   * `waitForCompletionTimeout` passes, whichever is first.
+   * @param {string} index - Elasticsearch index pattern
+   * @param {Object} queryBody - Elasticsearch query body
+   * @param {Object} [options]
+   * @param {string} [options.waitForCompletionTimeout='1s'] - How long to wait for the search to complete
+   * @param {string} [options.keepAlive='10m'] - How long the cluster keeps the search (and its results)
+   * @returns {Promise<Object>} { id, is_running, is_partial, response, ... }; `id` is missing if the search completed and was not kept
+   */
+  async submitAsyncSearch(index, queryBody, options = {}) {
+    const params = new URLSearchParams({
+      wait_for_completion_timeout: options.waitForCompletionTimeout || '1s',
+      keep_alive: options.keepAlive || '10m',
+    });
+    return this.request('POST', `/${index}/_async_search?${params}`, queryBody);
+  }
+
+  /**
+   * Get the state of an async search with its (partial) response
+   * @param {string} id - Async search id
+   * @param {Object} [options]
+   * @param {string} [options.waitForCompletionTimeout] - Wait this long for the search to complete
+   * @returns {Promise<Object>} { id, is_running, is_partial, response, ... }
+   */
+  async getAsyncSearch(id, options = {}) {
+    const query = options.waitForCompletionTimeout ? `?wait_for_completion_timeout=${options.waitForCompletionTimeout}` : '';
+    return this.request('GET', `/_async_search/${encodeURIComponent(id)}${query}`);
+  }
+
+  /**
+   * Delete an async search, cancelling it if it is still running
+   * @param {string} id - Async search id
+   */
+  async deleteAsyncSearch(id) {
+    return this.request('DELETE', `/_async_search/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Page through every hit of a search with a point-in-time and `search_after`.
+   * Falls back to a scroll when no point-in-time can be opened (Elasticsearch
+   * before 7.10, or missing privileges). The point-in-time or scroll is
+   * released at the end, also when the caller stops iterating early.
+   * Aggregations, `from` and `size` of the query are ignored.
+   * @param {string} index - Elasticsearch index pattern
+   * @param {Object} queryBody - Elasticsearch query body
+   * @param {Object} [options]
+   * @param {number} [options.pageSize] - Hits per page (default EXPORT_PAGE_SIZE, 5000)
+   * @param {number} [options.maxDocs] - Stop after this many hits (default EXPORT_MAX_DOCS, 1000000)
+   * @param {string} [options.keepAlive='1m'] - How long the cluster keeps the search context between pages
+   * @yields {{hits: Object[], total: Object|undefined, took: number, method: 'pit'|'scroll'}} One page of hits; `total` is set on the first page
+   */
+  async *scanHits(index, queryBody = {}, options = {}) {
+    const { aggs, aggregations, from, size, search_after, pit: ignoredPit, ...rest } = queryBody;
+    const pageSize = Number(options.pageSize || this.exportPageSize);
+    const keepAlive = options.keepAlive || '1m';
+    let remaining = Number(options.maxDocs ?? this.exportMaxDocs);
+    const trackTotalHits = rest.track_total_hits ?? true;
+
+    let pitId;
+    try {
+      pitId = (await this.request('POST', `/${index}/_pit?keep_alive=${keepAlive}`)).id;
+    } catch (error) {
+      console.warn(`Could not open a point-in-time on ${index}, falling back to scroll:`, error.message);
+    }
+
+    if (pitId) {
+      try {
+        let searchAfter;
+        let first = true;
+        while (remaining > 0) {
+          const pageSizeNow = Math.min(pageSize, remaining);
+          // The index comes from the point-in-time; it adds a _shard_doc tiebreaker to any sort
+          const page = await this.request('POST', '/_search', {
+            ...rest,
+            size: pageSizeNow,
+            pit: { id: pitId, keep_alive: keepAlive },
+            sort: rest.sort || ['_shard_doc'],
+            track_total_hits: first ? trackTotalHits : false,
+            ...(searchAfter ? { search_after: searchAfter } : {}),
+          });
+          pitId = page.pit_id || pitId;
+          const hits = page.hits?.hits || [];
+          yield { hits, total: first ? page.hits?.total : undefined, took: page.took || 0, method: 'pit' };
+          first = false;
+          remaining -= hits.length;
+          if (hits.length < pageSizeNow) {
+            break;
+          }
+          searchAfter = hits[hits.length - 1].sort;
+        }
+      } finally {
+        await this.request('DELETE', '/_pit', { id: pitId }).catch(() => {});
+      }
+      return;
+    }
+
+    let page = await this.request('POST', `/${index}/_search?scroll=${keepAlive}`, {
+      ...rest,
+      size: Math.min(pageSize, remaining),
+      track_total_hits: trackTotalHits,
+    });
+    let scrollId = page._scroll_id;
+    try {
+      let first = true;
+      while (remaining > 0) {
+        // A scroll keeps its page size, so the last page is cut to maxDocs
+        const hits = (page.hits?.hits || []).slice(0, remaining);
+        if (hits.length === 0) {
+          break;
+        }
+        yield { hits, total: first ? page.hits?.total : undefined, took: page.took || 0, method: 'scroll' };
+        first = false;
+        remaining -= hits.length;
+        if (remaining <= 0) {
+          break;
+        }
+        page = await this.request('POST', '/_search/scroll', { scroll: keepAlive, scroll_id: scrollId });
+        scrollId = page._scroll_id || scrollId;
+      }
+    } finally {
+      if (scrollId) {
+        await this.request('DELETE', '/_search/scroll', { scroll_id: scrollId }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Export every hit of a search to a file, page by page (see `scanHits`).
+   * The file has the shape of a `_search` response ({ hits: { hits, total }, took }),
+   * so it can be converted like any stored response, including by streaming.
+   * @param {string} index - Elasticsearch index pattern
+   * @param {Object} queryBody - Elasticsearch query body
+   * @param {string} outputPath - File to write; removed again if the export fails
+   * @param {Object} [options] - Options of `scanHits`
+   * @returns {Promise<{hits: number, total: Object, took: number, method: string, truncated: boolean}>}
+   */
+  async exportHits(index, queryBody, outputPath, options = {}) {
+    const maxDocs = Number(options.maxDocs ?? this.exportMaxDocs);
+    const file = await fs.promises.open(outputPath, 'w');
+    let count = 0;
+    let took = 0;
+    let total;
+    let method;
+
+    try {
+      await file.write('{"hits":{"hits":[');
+      for await (const page of this.scanHits(index, queryBody, { ...options, maxDocs })) {
+        method = page.method;
+        took += page.took;
+        total ??= page.total;
+        if (page.hits.length === 0) {
+          continue;
+        }
+        await file.write((count > 0 ? ',\n' : '\n') + page.hits.map(hit => JSON.stringify(hit)).join(',\n'));
+        count += page.hits.length;
+      }
+
+      // Without a total from the cluster, the export is the best count there is
+      if (total === undefined) {
+        total = { value: count, relation: 'eq' };
+      } else if (typeof total === 'number') {
+        total = { value: total, relation: 'eq' };
+      }
+      await file.write(`\n],"total":${JSON.stringify(total)}},"took":${took},"timed_out":false}\n`);
+      await file.close();
+    } catch (error) {
+      await file.close().catch(() => {});
+      fs.rmSync(outputPath, { force: true });
+      throw error;
+    }
+
+    const truncated = count >= maxDocs && (total.value > count || total.relation === 'gte');
+    return { hits: count, total, took, method, truncated };
+  }
+
+  /**
+   * Get the field mappings of an index pattern
+   * @param {string} index - Index name or pattern (comma-separated list allowed)
+   * @returns {Promise<Object>} `_mapping` response ({ <index>: { mappings: {...} } })
+   */
+  async getMapping(index) {
+    return this.request('GET', `/${index}/_mapping`);
+  }
+
+  /**
+   * List the indices (without hidden and system indices unless asked for)
+   * @param {Object} [options]
+   * @param {boolean} [options.hidden=false] - Include indices starting with a dot
+   * @returns {Promise<Object[]>} [{ name, health, status, docsCount, storeSize }], sorted by name
+   */
+  async getIndices(options = {}) {
+    const rows = await this.request('GET', `/_cat/indices?format=json&h=index,health,status,docs.count,store.size${options.hidden ? '&expand_wildcards=all' : ''}`);
+    return rows
+      .filter(row => options.hidden || !row.index.startsWith('.'))
+      .map(row => ({
+        name: row.index,
+        health: row.health,
+        status: row.status,
+        docsCount: row['docs.count'] === null || row['docs.count'] === undefined ? null : Number(row['docs.count']),
+        storeSize: row['store.size'] ?? null,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * List the aliases with the indices they point to
+   * @returns {Promise<Object[]>} [{ name, indices }], sorted by name
+   */
+  async getAliases() {
+    const rows = await this.request('GET', '/_cat/aliases?format=json&h=alias,index');
+    const aliases = new Map();
+    for (const row of rows) {
+      if (row.alias.startsWith('.')) continue;
+      if (!aliases.has(row.alias)) aliases.set(row.alias, []);
+      aliases.get(row.alias).push(row.index);
+    }
+    return [...aliases].map(([name, indices]) => ({ name, indices })).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * List the data streams
+   * @returns {Promise<Object[]>} [{ name, status, template, indices }] (`indices` is the backing index count)
+   */
+  async getDataStreams() {
+    const result = await this.request('GET', '/_data_stream');
+    return (result.data_streams || [])
+      .filter(stream => !stream.name.startsWith('.'))
+      .map(stream => ({
+        name: stream.name,
+        status: stream.status,
+        template: stream.template,
+        indices: (stream.indices || []).length,
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * List the Kibana data views; backends without Kibana have none
+   * @returns {Promise<Object[]>} [{ id, name, title }]
+   */
+  async getDataViews() {
+    return [];
+  }
+
+  /**
+   * Get the fields of an index pattern from `_field_caps`, flattened
+   * @param {string} index - Index name or pattern (comma-separated list allowed)
+   * @returns {Promise<Object[]>} [{ name, type, types, aggregatable, searchable }], sorted by name.
+   *   Fields with different types in different indices have the type `conflict`.
+   */
+  async getFields(index) {
+    const caps = await this.request('GET', `/${index}/_field_caps?fields=*`);
+    return flattenFieldCaps(caps);
+  }
+
+  /**
+   * Check cluster health
+   */
+  async checkHealth() {
+    return this.request('GET', '/_cluster/health');
+  }
+}
+
+/**
+ * Field types that only group other fields
+ */
+const CONTAINER_TYPES = ['object', 'nested'];
+
+/**
+ * Flatten a `_field_caps` response into one entry per field
+ * @param {Object} caps - `_field_caps` response ({ fields: { <name>: { <type>: {...} } } })
+ */
+function flattenFieldCaps(caps) {
+  return Object.entries(caps.fields || {})
+    // Metadata fields (_id, _index, ...) and object containers are not useful in queries
+    .filter(([name, byType]) => !name.startsWith('_') && !Object.keys(byType).every(type => CONTAINER_TYPES.includes(type)))
+    .map(([name, byType]) => {
+      const types = Object.keys(byType).filter(type => !CONTAINER_TYPES.includes(type) && type !== 'unmapped');
+      const typeCaps = types.map(type => byType[type]);
+      return {
+        name,
+        type: types.length === 1 ? types[0] : 'conflict',
+        types,
+        aggregatable: typeCaps.every(cap => cap.aggregatable),
+        searchable: typeCaps.every(cap => cap.searchable),
+      };
+    })
+    // Unmapped in every index
+    .filter(field => field.types.length > 0)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * HTTP statuses worth retrying: rate limited, or the cluster is (temporarily) unavailable
+ */
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Connection errors worth retrying. A reset or broken pipe may come after the
+ * request was sent; the others mean it never left.
+ */
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN'];
+const UNSENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * True if a failed request may succeed when sent again
+ * @param {Error} error - Error thrown by `sendRequest`
+ * @param {boolean} idempotent - Sending the request twice does no harm (see isIdempotent)
+ */
+function isRetryable(error, idempotent) {
+  if (error.status) {
+    // 429: Elasticsearch turned the request down without running it
+    return error.status === 429 || (idempotent && RETRYABLE_STATUSES.includes(error.status));
+  }
+  // No answer at all; a timeout (ECONNABORTED) would most likely time out again
+  return (idempotent ? RETRYABLE_CODES : UNSENT_CODES).includes(error.code);
+}
+
+/**
+ * True if sending a request twice gives the same result and leaves nothing behind:
+ * GET, HEAD and DELETE, searches (_search, _msearch, search templates), ES|QL queries
+ * and the first page of SQL queries. Not: async search submits, opening a point in
+ * time or a scroll, and following a scroll or SQL cursor (each call moves it on).
+ * @param {string} method - HTTP method
+ * @param {string} path - Elasticsearch path, with its query string
+ * @param {Object|string} [body] - Request body
+ */
+function isIdempotent(method, path, body) {
+  if (method === 'GET' || method === 'HEAD' || method === 'DELETE') {
+    return true;
+  }
+  const [pathname, query = ''] = path.split('?');
+  if (new URLSearchParams(query).has('scroll')) {
+    return false;
+  }
+  if (/(^|\/)_sql$/.test(pathname)) {
+    return !(body && typeof body === 'object' && body.cursor !== undefined);
+  }
+  return /(^|\/)(_search|_msearch|_search\/template|_query)$/.test(pathname);
+}
+
+/**
+ * True if a composite aggregation page may be followed by another page
+ * @param {Object} def - Aggregation definition from the query ({ composite: {...} })
+ * @param {Object} result - Aggregation result for the page
+ */
+function hasMoreCompositePages(def, result) {
+  const buckets = result.buckets || [];
+  const size = def.composite.size ?? 10;
+  return result.after_key !== undefined && buckets.length > 0 && buckets.length >= size;
+}
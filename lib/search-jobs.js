@@ -0,0 +1,200 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+/**
+ * Job states that do not change any more
+ */
+const FINISHED = ['completed', 'failed', 'cancelled', 'timeout'];
+
+/**
+ * Long-running searches run as Elasticsearch async searches. A job is submitted
+ * and returns right away; the job is then polled in the background until the
+ * search completes, fails, times out or is cancelled. Every change is emitted
+ * as an `update` event with the job's public view.
+ */
+export class SearchJobs extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onComplete - async (job, response) => result; stores the final response
+   * @param {number} [options.pollIntervalMs] - Time between polls (default ASYNC_SEARCH_POLL_MS, 1000)
+   * @param {number} [options.timeoutMs] - Cancel jobs running longer than this (default ASYNC_SEARCH_TIMEOUT_MS, 30 minutes)
+   * @param {string} [options.keepAlive] - How long the cluster keeps an async search between polls (default ASYNC_SEARCH_KEEP_ALIVE, 10m)
+   * @param {number} [options.retentionMs] - How long finished jobs stay listed (default 1 hour)
+   */
+  constructor(options) {
+    super();
+    this.onComplete = options.onComplete;
+    this.pollIntervalMs = Number(options.pollIntervalMs || process.env.ASYNC_SEARCH_POLL_MS || 1000);
+    this.timeoutMs = Number(options.timeoutMs || process.env.ASYNC_SEARCH_TIMEOUT_MS || 30 * 60 * 1000);
+    this.keepAlive = options.keepAlive || process.env.ASYNC_SEARCH_KEEP_ALIVE || '10m';
+    this.retentionMs = Number(options.retentionMs || 60 * 60 * 1000);
+    this.jobs = new Map();
+    // One listener per open event stream
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Submit a search; it runs in the background
+   * @param {Object} params
+   * @param {import('./search-client.js').SearchClient} params.client - Client of the cluster to query
+   * @param {string} params.cluster - Cluster name
+   * @param {string} params.index - Elasticsearch index pattern
+   * @param {Object} params.query - Elasticsearch query body
+   * @param {string} params.username - Owner of the job
+   * @param {Object} [params.context] - Kept with the job for `onComplete` (not shown to clients)
+   * @returns {Object} Public view of the new job
+   */
+  submit({ client, cluster, index, query, username, context = {} }) {
+    const job = {
+      id: randomUUID(),
+      username,
+      cluster,
+      index,
+      query,
+      client,
+      context,
+      status: 'running',
+      asyncId: null,
+      isPartial: true,
+      progress: null,
+      partial: null,
+      result: null,
+      error: null,
+      startedAt: new Date(),
+      finishedAt: null,
+    };
+    this.jobs.set(job.id, job);
+    this.run(job);
+    return this.view(job);
+  }
+
+  /**
+   * A job of a user, or undefined
+   */
+  get(id, username) {
+    const job = this.jobs.get(id);
+    return job && job.username === username ? job : undefined;
+  }
+
+  /**
+   * Public views of a user's jobs, newest first
+   */
+  list(username) {
+    return [...this.jobs.values()]
+      .filter(job => job.username === username)
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .map(job => this.view(job));
+  }
+
+  /**
+   * Cancel a running job and delete its async search on the cluster
+   * @param {Object} job - Job from `get`
+   */
+  async cancel(job) {
+    if (this.isFinished(job)) {
+      return;
+    }
+    this.finish(job, 'cancelled');
+    if (job.asyncId) {
+      await job.client.deleteAsyncSearch(job.asyncId).catch(() => {});
+    }
+  }
+
+  /**
+   * True once a job will not change any more
+   */
+  isFinished(job) {
+    return FINISHED.includes(job.status);
+  }
+
+  /**
+   * What clients see of a job (no query body, client or partial response)
+   */
+  view(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      cluster: job.cluster,
+      index: job.index,
+      isPartial: job.isPartial,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+    };
+  }
+
+  /**
+   * Poll a job's async search until it is done
+   */
+  async run(job) {
+    const { client } = job;
+    try {
+      let state = await client.submitAsyncSearch(job.index, job.query, { keepAlive: this.keepAlive });
+      job.asyncId = state.id || null;
+      this.update(job, state);
+
+      while (state.is_running) {
+        if (this.isFinished(job)) return;
+        if (Date.now() - job.startedAt >= this.timeoutMs) {
+          this.finish(job, 'timeout', `Search did not complete within ${Math.round(this.timeoutMs / 1000)} s`);
+          return;
+        }
+        await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        if (this.isFinished(job)) return;
+        state = await client.getAsyncSearch(job.asyncId);
+        this.update(job, state);
+      }
+
+      if (state.error) {
+        throw new Error(state.error.root_cause?.[0]?.reason || state.error.reason || 'Async search failed');
+      }
+      if (this.isFinished(job)) return;
+
+      // Composite aggregations are paginated like synchronous searches
+      const response = await client.fetchRemainingCompositePages(`/${job.index}/_search`, job.query, state.response);
+      const result = await this.onComplete(job, response);
+      if (this.isFinished(job)) return;
+      job.result = result;
+      // The stored file holds the full response now
+      job.partial = null;
+      this.finish(job, 'completed');
+    } catch (error) {
+      if (!this.isFinished(job)) {
+        // API errors carry the response body on the following lines
+        this.finish(job, 'failed', error.message.split('\n')[0]);
+      }
+    } finally {
+      // Stops the search if it is still running, and frees its response on the cluster
+      if (job.asyncId) {
+        await client.deleteAsyncSearch(job.asyncId).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Record a poll result: progress over the shards and the partial response
+   */
+  update(job, state) {
+    const shards = state.response?._shards;
+    if (shards?.total) {
+      const done = (shards.successful || 0) + (shards.skipped || 0) + (shards.failed || 0);
+      job.progress = { ...shards, percent: Math.round((done / shards.total) * 100) };
+    }
+    job.isPartial = Boolean(state.is_partial);
+    job.partial = state.response || job.partial;
+    this.emit('update', this.view(job));
+  }
+
+  /**
+   * Move a job to a final state and forget it after the retention time
+   */
+  finish(job, status, error = null) {
+    job.status = status;
+    job.error = error;
+    job.finishedAt = new Date();
+    this.emit('update', this.view(job));
+    setTimeout(() => this.jobs.delete(job.id), this.retentionMs).unref();
+  }
+}
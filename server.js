@@ -5,8 +5,19 @@ import morgan from 'morgan';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { KibanaClient } from './lib/kibana-client.js';
-import { esToTable, tableToCSV } from './index.js';
+import { loadClusterRegistry } from './lib/cluster-registry.js';
+import { SearchJobs } from './lib/search-jobs.js';
+import { renderTemplate, renderQueryRequest, hasPlaceholders, resolveParamDates } from './lib/query-template.js';
+import { QueryLibraries } from './lib/query-library.js';
+import { QueryScheduler, cronError } from './lib/query-scheduler.js';
+import {
+  getMetaPath, writeResultMeta, readResultMeta, renameResultMeta, queryResultMeta, summarizeResponse, rerunSource
+} from './lib/result-meta.js';
+import {
+  esToTable, esToTables, tableToCSV, tableToNDJSON, tableToMarkdown, tableToHTML, tablesToXLSX,
+  applySchema, streamConvertFile, readHitIndices, getMultiSearchErrors, OUTPUT_FORMATS,
+  SIBLING_MODES, SIBLING_METRICS_MODES, HIT_METADATA
+} from './index.js';
 import { DuckDBService } from './lib/duckdb-service.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -21,6 +32,9 @@ const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
 const AUTH_ALLOWED_DOMAIN = process.env.AUTH_ALLOWED_DOMAIN || 'mcpinsight.com';
 const AUTH_HEADER = 'x-auth-request-preferred-username';
 
+// Stored files at least this large are converted row by row (CSV, NDJSON and Parquet)
+const STREAMING_THRESHOLD_BYTES = (parseFloat(process.env.STREAMING_THRESHOLD_MB) || 50) * 1024 * 1024;
+
 // Create a router for all routes
 const router = express.Router();
 
@@ -76,169 +90,1166 @@ const domainAuthMiddleware = (req, res, next) => {
   next();
 };
 
-// Apply auth middleware to the router
-router.use(domainAuthMiddleware);
+// Apply auth middleware to the router
+router.use(domainAuthMiddleware);
+
+/**
+ * API Route: Current user / auth status (bypasses auth so it can return "No auth" when disabled)
+ * GET /api/me
+ */
+router.get('/api/me', (req, res) => {
+  if (!AUTH_REQUIRED) {
+    return res.json({ authEnabled: false, username: null });
+  }
+  const username = req.headers[AUTH_HEADER] || null;
+  res.json({ authEnabled: true, username });
+});
+
+// Create base data directory if it doesn't exist
+const DATA_DIR = path.join(__dirname, 'data');
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+// Named clusters (CLUSTERS_FILE / CLUSTER_<NAME>_<OPTION>), or one cluster from the global env
+const clusters = loadClusterRegistry();
+
+// Map to store DuckDB service instances per user
+const duckdbInstances = new Map();
+
+/**
+ * Get user-specific data directory
+ * @param {string} username - Username (email)
+ * @returns {string} Path to user's data directory
+ */
+function getUserDataDir(username) {
+  if (!username) {
+    // Fallback to shared directory if no username (when auth is disabled)
+    return DATA_DIR;
+  }
+  // Sanitize username for filesystem (replace @ and other special chars)
+  const safeUsername = username.replace(/[^a-zA-Z0-9._-]/g, '_');
+  const userDir = path.join(DATA_DIR, safeUsername);
+  if (!fs.existsSync(userDir)) {
+    fs.mkdirSync(userDir, { recursive: true });
+  }
+  return userDir;
+}
+
+// Saved query libraries: one per user, plus a shared team library (TEAM_LIBRARY=false turns it off)
+const queryLibraries = new QueryLibraries({
+  userFile: username => path.join(getUserDataDir(username), '.saved-queries.json'),
+  teamFile: process.env.TEAM_LIBRARY === 'false' ? null
+    : process.env.TEAM_LIBRARY_FILE || path.join(DATA_DIR, '.team-queries.json'),
+});
+
+/**
+ * Get or create DuckDB service instance for a user
+ * @param {string} username - Username (email)
+ * @returns {DuckDBService} DuckDB service instance
+ */
+function getDuckDBService(username) {
+  if (!username) {
+    // Fallback to shared instance if no username (when auth is disabled)
+    if (!duckdbInstances.has('')) {
+      const sharedDir = getUserDataDir('');
+      const service = new DuckDBService(sharedDir);
+      duckdbInstances.set('', service);
+    }
+    return duckdbInstances.get('');
+  }
+
+  if (!duckdbInstances.has(username)) {
+    const userDir = getUserDataDir(username);
+    const service = new DuckDBService(userDir);
+    duckdbInstances.set(username, service);
+  }
+  return duckdbInstances.get(username);
+}
+
+/**
+ * Query languages accepted by /api/query
+ */
+const QUERY_LANGUAGES = ['dsl', 'esql', 'sql'];
+
+/**
+ * API Route: List the configured clusters with their health
+ * GET /api/clusters?health=false (skip the health checks)
+ */
+router.get('/api/clusters', async (req, res) => {
+  try {
+    const list = await clusters.list({ health: req.query.health !== 'false' });
+    res.json({ clusters: list, default: clusters.defaultName });
+  } catch (error) {
+    console.error('Error listing clusters:', error);
+    res.status(500).json({ 
+      error: 'Failed to list clusters',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * Error message for a cluster name that is not configured
+ */
+function unknownClusterMessage(cluster) {
+  return `Unknown cluster "${cluster}". Configured: ${clusters.names().join(', ')}`;
+}
+
+/**
+ * True if template params are omitted or a plain object
+ */
+function isParamsObject(params) {
+  return params === undefined || (typeof params === 'object' && params !== null && !Array.isArray(params));
+}
+
+/**
+ * API Route: List indices, aliases and data streams (for index pattern suggestions)
+ * GET /api/indices?cluster=name&hidden=true
+ */
+router.get('/api/indices', async (req, res) => {
+  try {
+    const { cluster = clusters.defaultName, hidden } = req.query;
+    if (!clusters.has(cluster)) {
+      return res.status(400).json({ error: unknownClusterMessage(cluster) });
+    }
+    const client = clusters.get(cluster);
+
+    const [indices, aliases, dataStreams] = await Promise.all([
+      client.getIndices({ hidden: hidden === 'true' }),
+      client.getAliases(),
+      // Data streams need Elasticsearch 7.9 or newer
+      client.getDataStreams().catch(error => {
+        console.warn(`Could not list data streams of ${cluster}:`, error.message.split('\n')[0]);
+        return [];
+      }),
+    ]);
+    res.json({ cluster, indices, aliases, dataStreams });
+  } catch (error) {
+    console.error('Error listing indices:', error);
+    res.status(500).json({ 
+      error: 'Failed to list indices',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * API Route: List Kibana data views (empty for direct Elasticsearch clusters)
+ * GET /api/data-views?cluster=name
+ */
+router.get('/api/data-views', async (req, res) => {
+  try {
+    const { cluster = clusters.defaultName } = req.query;
+    if (!clusters.has(cluster)) {
+      return res.status(400).json({ error: unknownClusterMessage(cluster) });
+    }
+    res.json({ cluster, dataViews: await clusters.get(cluster).getDataViews() });
+  } catch (error) {
+    console.error('Error listing data views:', error);
+    res.status(500).json({ 
+      error: 'Failed to list data views',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * API Route: Flattened field mapping of an index pattern
+ * GET /api/fields?index=pattern&cluster=name
+ * Returns { fields: [{ name, type, types, aggregatable, searchable }] }
+ */
+router.get('/api/fields', async (req, res) => {
+  try {
+    const { index, cluster = clusters.defaultName } = req.query;
+    if (!index) {
+      return res.status(400).json({ error: 'Index is required' });
+    }
+    if (!clusters.has(cluster)) {
+      return res.status(400).json({ error: unknownClusterMessage(cluster) });
+    }
+    res.json({ cluster, index, fields: await clusters.get(cluster).getFields(index) });
+  } catch (error) {
+    console.error('Error fetching fields:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch fields',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * Page through every hit of a query and store them as one `_search`-shaped file.
+ * The file is written under a hidden name and only appears once it is complete.
+ * @param {import('./lib/search-client.js').SearchClient} client - Client of the cluster to query
+ * @param {string} index - Elasticsearch index pattern
+ * @param {Object} query - Elasticsearch query body
+ * @param {Object} options - { maxDocs, username }
+ * @returns {Promise<Object>} /api/query response
+ */
+async function exportAllHits(client, index, query, { maxDocs, username }) {
+  console.log(`Exporting all hits of index: ${index} for user: ${username || 'anonymous'}`);
+
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '');
+  const filename = `hits_${timestamp}.json`;
+  const userDataDir = getUserDataDir(username);
+  const tmpPath = path.join(userDataDir, `.${filename}.exporting`);
+
+  try {
+    const result = await client.exportHits(index, query, tmpPath, { maxDocs });
+    fs.renameSync(tmpPath, path.join(userDataDir, filename));
+    return {
+      success: true,
+      filename,
+      filepath: `/api/files/${filename}`,
+      hasAggregations: false,
+      hits: result.hits,
+      total: result.total.value,
+      took: result.took,
+      // How the hits were paged (pit or scroll) and whether maxDocs cut the export short
+      method: result.method,
+      truncated: result.truncated,
+    };
+  } finally {
+    fs.rmSync(tmpPath, { force: true });
+  }
+}
+
+/**
+ * Update the run details of a saved query in its library; failures are only logged
+ * @param {Object} [savedQuery] - { scope, id } of the saved query that ran, if any
+ * @param {string} username - Username (email)
+ * @param {Function} update - (library, id) => void
+ */
+function updateSavedQueryRun(savedQuery, username, update) {
+  if (!savedQuery) {
+    return;
+  }
+  try {
+    const library = queryLibraries.get(savedQuery.scope, username);
+    if (library) update(library, savedQuery.id);
+  } catch (error) {
+    console.warn(`Could not record the run of saved query ${savedQuery.id}:`, error.message);
+  }
+}
+
+/**
+ * Store a query response as a JSON file named after its aggregations, with its
+ * provenance (cluster, request, response summary) in the sidecar
+ * @param {Object} esResponse - Search, ES|QL, SQL or multi-search response
+ * @param {Object} details - { username, cluster, request, savedQuery, rerunOf }; `request`
+ *   holds the query as requested (see runQueryRequest)
+ * @returns {Object} /api/query response
+ */
+function storeQueryResponse(esResponse, { username, cluster, request = {}, savedQuery, rerunOf }) {
+  const { language = 'dsl', searches } = request;
+  // Check if response has aggregations (any successful search of a multi-search)
+  const responses = searches ? esResponse.responses.filter(r => !r.error) : [esResponse];
+  const aggregations = responses.find(r => r.aggregations && Object.keys(r.aggregations).length > 0)?.aggregations;
+  const hasAggregations = Boolean(aggregations);
+
+  // Generate descriptive filename from aggregation names + timestamp
+  const now = new Date();
+  const timestamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '').replace('T', 'T');
+  let namePart = searches ? 'msearch' : language === 'dsl' ? 'query' : language;
+  if (hasAggregations) {
+    // Extract unique aggregation names recursively
+    const aggNames = new Set();
+    const extractAggNames = (obj) => {
+      if (!obj || typeof obj !== 'object') return;
+      for (const key of Object.keys(obj)) {
+        if (obj[key] && typeof obj[key] === 'object' && obj[key].buckets !== undefined) {
+          aggNames.add(key);
+          // Check for nested aggregations in first bucket only (to get structure, not duplicates)
+          const buckets = Array.isArray(obj[key].buckets) ? obj[key].buckets : Object.values(obj[key].buckets || {});
+          if (buckets.length > 0) {
+            extractAggNames(buckets[0]);
+          }
+        } else if (obj[key] && typeof obj[key] === 'object' && obj[key].doc_count !== undefined) {
+          // Single-bucket aggregation (filter, nested, ...): look for bucket aggregations inside
+          const hadKey = aggNames.has(key);
+          aggNames.add(key);
+          const before = aggNames.size;
+          extractAggNames(obj[key]);
+          if (aggNames.size === before && !hadKey) {
+            aggNames.delete(key);
+          }
+        }
+      }
+    };
+    extractAggNames(aggregations);
+    if (aggNames.size > 0) {
+      namePart = (searches ? ['msearch', ...aggNames] : [...aggNames]).join('_').replace(/[^a-zA-Z0-9_]/g, '');
+      // Limit filename length (leave room for timestamp and extension)
+      if (namePart.length > 100) {
+        namePart = namePart.substring(0, 100);
+      }
+    }
+  }
+  const filename = `${namePart}_${timestamp}.json`;
+  const userDataDir = getUserDataDir(username);
+  const filepath = path.join(userDataDir, filename);
+
+  // Save JSON response locally
+  fs.writeFileSync(filepath, JSON.stringify(esResponse, null, 2), 'utf8');
+
+  const result = {
+    success: true,
+    filename,
+    filepath: `/api/files/${filename}`,
+    cluster,
+    hasAggregations,
+    hits: responses.reduce((sum, r) => sum + (r.hits?.hits?.length || 0), 0),
+    total: responses.reduce((sum, r) => sum + (typeof r.hits?.total === 'object' ? r.hits.total.value : r.hits?.total || 0), 0),
+    // ES|QL and SQL: row count and typed columns
+    ...(language !== 'dsl' && !searches ? { rows: (esResponse.values || esResponse.rows || []).length, columns: esResponse.columns || [] } : {}),
+    // Multi-search: number of searches and the ones that failed
+    ...(searches ? { searches: searches.length, errors: getMultiSearchErrors(esResponse) } : {}),
+  };
+
+  writeResultMeta(userDataDir, filename, queryResultMeta({
+    username, cluster, request, savedQuery, rerunOf,
+    response: { ...summarizeResponse(esResponse, searches), hits: { returned: result.hits, total: result.total }, ...(result.rows !== undefined ? { rows: result.rows } : {}) },
+  }));
+  updateSavedQueryRun(savedQuery, username, (library, id) => library.recordRun(id, savedQueryRun(result, username)));
+  return result;
+}
+
+/**
+ * Run details of an /api/query response. Tables of aggregations only get their
+ * row count once the file is converted.
+ */
+function savedQueryRun(result, username) {
+  return {
+    at: new Date().toISOString(),
+    by: username,
+    filename: result.filename,
+    cluster: result.cluster,
+    hits: result.hits,
+    total: result.total,
+    rows: result.rows ?? (result.hasAggregations ? null : result.hits),
+  };
+}
+
+/**
+ * Send a query request to the cluster (search, multi-search, ES|QL, SQL or stored template)
+ * @param {import('./lib/search-client.js').SearchClient} esClient - Client of the cluster to query
+ * @param {Object} request - { index, language, searches, params, templateId }
+ * @param {Object} rendered - { renderedQuery, renderedSearches } from renderQueryRequest
+ * @param {string} username - For the log
+ * @returns {Promise<Object>} Elasticsearch response
+ */
+async function executeSearch(esClient, { index, language = 'dsl', searches, params, templateId }, { renderedQuery, renderedSearches }, username) {
+  let esResponse;
+  if (searches) {
+    console.log(`Executing ${searches.length} searches for user: ${username || 'anonymous'}`);
+    esResponse = await esClient.msearch(renderedSearches);
+  } else if (language === 'esql') {
+    console.log(`Executing ES|QL query for user: ${username || 'anonymous'}`);
+    esResponse = await esClient.esql(renderedQuery);
+  } else if (language === 'sql') {
+    console.log(`Executing SQL query for user: ${username || 'anonymous'}`);
+    esResponse = await esClient.sql(renderedQuery);
+  } else if (templateId) {
+    console.log(`Executing search template ${templateId} on index: ${index} for user: ${username || 'anonymous'}`);
+    // Stored templates are rendered by Elasticsearch; only the dates are resolved here
+    esResponse = await esClient.searchTemplate(index, { id: templateId, params: resolveParamDates(params) });
+  } else {
+    console.log(`Executing query on index: ${index} for user: ${username || 'anonymous'}`);
+    esResponse = await esClient.search(index, renderedQuery);
+  }
+  return esResponse;
+}
+
+/**
+ * Run a validated /api/query request and store its result with its provenance
+ * @param {Object} request - { index, language, query, searches, params, templateId, allHits, maxDocs } as requested
+ * @param {Object} rendered - { renderedQuery, renderedSearches } from renderQueryRequest
+ * @param {Object} details - { username, cluster, savedQuery, rerunOf }
+ * @returns {Promise<Object>} /api/query response
+ */
+async function runQueryRequest(request, { renderedQuery, renderedSearches }, { username, cluster, savedQuery, rerunOf }) {
+  const { index, language = 'dsl', query, allHits, maxDocs } = request;
+  const esClient = clusters.get(cluster);
+  // The query as it ran, when placeholders were filled in
+  const rendered = query && hasPlaceholders(query) ? { renderedQuery } : {};
+  // Recorded as requested, so re-runs resolve relative dates again
+  const provenance = Object.fromEntries(Object.entries({ ...request, language, ...rendered }).filter(([, value]) => value !== undefined));
+
+  if (allHits) {
+    const { took, ...result } = { ...await exportAllHits(esClient, index, renderedQuery, { maxDocs, username }), cluster };
+    writeResultMeta(getUserDataDir(username), result.filename, queryResultMeta({
+      username, cluster, request: provenance, savedQuery, rerunOf,
+      response: { took, hits: { returned: result.hits, total: result.total }, method: result.method, truncated: result.truncated },
+    }));
+    updateSavedQueryRun(savedQuery, username, (library, id) => library.recordRun(id, savedQueryRun(result, username)));
+    return { ...result, ...rendered };
+  }
+
+  const esResponse = await executeSearch(esClient, request, { renderedQuery, renderedSearches }, username);
+
+  return {
+    ...storeQueryResponse(esResponse, { username, cluster, request: provenance, savedQuery, rerunOf }),
+    ...rendered,
+  };
+}
+
+/**
+ * API Route: Execute Elasticsearch query
+ * POST /api/query
+ * Body: { index: string, query: object, language?: 'dsl' }
+ *    or { query: string|object, language: 'esql'|'sql' }
+ *    or { searches: [{ index: string, query: object, label?: string }] } (one _msearch)
+ * With `allHits: true` (DSL only), every hit is paged through with a point-in-time
+ * and written to the file page by page, up to `maxDocs` hits.
+ * `cluster` names the cluster to query (default cluster when omitted).
+ * Queries may hold `{{name}}` / `{{name|default}}` placeholders filled from `params`;
+ * date expressions (`now-7d/d`, `start_of_last_month`) are resolved here. With
+ * `templateId`, the stored search template of that id runs with `params` instead.
+ * `savedQuery: { scope, id }` records the run in that saved query's library.
+ * With `async: true` (single DSL queries only), the query runs as an async search
+ * job instead and the job is returned right away (202), as from POST /api/jobs.
+ */
+router.post('/api/query', async (req, res) => {
+  try {
+    const {
+      index, query, language = 'dsl', searches, allHits, maxDocs, params, templateId, savedQuery,
+      cluster = clusters.defaultName, async: asyncSearch
+    } = req.body;
+    const username = req.authUser || '';
+
+    if (!clusters.has(cluster)) {
+      return res.status(400).json({ error: unknownClusterMessage(cluster) });
+    }
+
+    if (searches !== undefined) {
+      if (!Array.isArray(searches) || searches.length === 0) {
+        return res.status(400).json({ error: 'Searches must be a non-empty list of { index, query, label }' });
+      }
+      const invalid = searches.findIndex(search => !search?.index || !search?.query);
+      if (invalid !== -1) {
+        return res.status(400).json({ error: `Search ${invalid + 1} needs an index and a query` });
+      }
+    } else {
+      if (!QUERY_LANGUAGES.includes(language)) {
+        return res.status(400).json({ error: `Unsupported language "${language}". Supported: ${QUERY_LANGUAGES.join(', ')}` });
+      }
+
+      if (!index && language === 'dsl') {
+        return res.status(400).json({ error: 'Index is required' });
+      }
+
+      if (!query && !templateId) {
+        return res.status(400).json({ error: 'Query is required' });
+      }
+    }
+
+    if (allHits && (searches || language !== 'dsl')) {
+      return res.status(400).json({ error: 'allHits is only supported for single DSL queries' });
+    }
+
+    if (templateId && (searches || allHits || language !== 'dsl')) {
+      return res.status(400).json({ error: 'templateId is only supported for single DSL queries' });
+    }
+
+    if (asyncSearch && (searches || allHits || templateId || language !== 'dsl')) {
+      return res.status(400).json({ error: 'async is only supported for single DSL queries without allHits or templateId' });
+    }
+
+    if (!isParamsObject(params)) {
+      return res.status(400).json({ error: 'Params must be an object of placeholder values' });
+    }
+
+    if (savedQuery !== undefined && !queryLibraries.find(savedQuery, username)) {
+      return res.status(400).json({ error: 'Saved query not found' });
+    }
+
+    if (maxDocs !== undefined && !(Number.isInteger(maxDocs) && maxDocs > 0)) {
+      return res.status(400).json({ error: 'maxDocs must be a positive integer' });
+    }
+
+    let rendered;
+    try {
+      rendered = renderQueryRequest({ query, searches, params });
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid query template: ${error.message}` });
+    }
+
+    if (asyncSearch) {
+      return res.status(202).json(submitSearchJob({ index, query, params, savedQuery, cluster, username }, rendered.renderedQuery));
+    }
+
+    const request = { index, language, query, searches, params, templateId, allHits, maxDocs };
+    res.json(await runQueryRequest(request, rendered, { username, cluster, savedQuery }));
+  } catch (error) {
+    console.error('Error executing query:', error);
+    res.status(500).json({ 
+      error: 'Failed to execute query',
+      message: error.message 
+    });
+  }
+});
+
+// Async search jobs; completed responses are stored like /api/query results
+const searchJobs = new SearchJobs({
+  onComplete: async (job, response) => storeQueryResponse(response, {
+    username: job.username, cluster: job.cluster, request: job.context.request, savedQuery: job.context.savedQuery,
+  }),
+});
+
+/**
+ * Submit a DSL query as an async search job
+ * @param {Object} request - { index, query, params, savedQuery, cluster, username }
+ * @param {Object} renderedQuery - The query with its placeholders filled in
+ * @returns {Object} Response body: { success, job, renderedQuery }
+ */
+function submitSearchJob({ index, query, params, savedQuery, cluster, username }, renderedQuery) {
+  console.log(`Submitting async search on index: ${index} for user: ${username || 'anonymous'}`);
+  const job = searchJobs.submit({
+    client: clusters.get(cluster), cluster, index, query: renderedQuery, username,
+    context: {
+      savedQuery,
+      request: { index, language: 'dsl', query, ...(params ? { params } : {}), ...(hasPlaceholders(query) ? { renderedQuery } : {}) },
+    },
+  });
+  return { success: true, job, ...(hasPlaceholders(query) ? { renderedQuery } : {}) };
+}
+
+/**
+ * API Route: Submit a long-running query as an async search job
+ * POST /api/jobs
+ * Body: { index: string, query: object, params?: object, cluster?: string, savedQuery?: { scope, id } }
+ * Returns the job right away (202); follow it with GET /api/jobs/:id or /api/jobs/:id/events
+ */
+router.post('/api/jobs', (req, res) => {
+  try {
+    const { index, query, params, savedQuery, cluster = clusters.defaultName } = req.body;
+    const username = req.authUser || '';
+
+    if (!clusters.has(cluster)) {
+      return res.status(400).json({ error: unknownClusterMessage(cluster) });
+    }
+
+    if (!index) {
+      return res.status(400).json({ error: 'Index is required' });
+    }
+
+    if (!query) {
+      return res.status(400).json({ error: 'Query is required' });
+    }
+
+    if (!isParamsObject(params)) {
+      return res.status(400).json({ error: 'Params must be an object of placeholder values' });
+    }
+
+    if (savedQuery !== undefined && !queryLibraries.find(savedQuery, username)) {
+      return res.status(400).json({ error: 'Saved query not found' });
+    }
+
+    let renderedQuery;
+    try {
+      renderedQuery = renderTemplate(query, params);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid query template: ${error.message}` });
+    }
+
+    res.status(202).json(submitSearchJob({ index, query, params, savedQuery, cluster, username }, renderedQuery));
+  } catch (error) {
+    console.error('Error submitting job:', error);
+    res.status(500).json({ 
+      error: 'Failed to submit job',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * API Route: List the user's jobs
+ * GET /api/jobs
+ */
+router.get('/api/jobs', (req, res) => {
+  res.json({ jobs: searchJobs.list(req.authUser || '') });
+});
+
+/**
+ * API Route: Job status and progress (`result` holds the /api/query response once completed)
+ * GET /api/jobs/:id
+ */
+router.get('/api/jobs/:id', (req, res) => {
+  const job = searchJobs.get(req.params.id, req.authUser || '');
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job: searchJobs.view(job) });
+});
+
+/**
+ * API Route: Latest partial response of a running job (the raw search response so far)
+ * GET /api/jobs/:id/partial
+ */
+router.get('/api/jobs/:id/partial', (req, res) => {
+  const job = searchJobs.get(req.params.id, req.authUser || '');
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json({ job: searchJobs.view(job), response: job.partial });
+});
+
+/**
+ * API Route: Job updates as server-sent events (`update` per change, `end` once finished)
+ * GET /api/jobs/:id/events
+ */
+router.get('/api/jobs/:id/events', (req, res) => {
+  const username = req.authUser || '';
+  const job = searchJobs.get(req.params.id, username);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  // Let reverse proxies pass the events through unbuffered
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  const send = (view) => {
+    res.write(`event: update\ndata: ${JSON.stringify(view)}\n\n`);
+    if (searchJobs.isFinished(view)) {
+      res.write('event: end\ndata: {}\n\n');
+      res.end();
+    }
+  };
+  const onUpdate = (view) => {
+    if (view.id === job.id) send(view);
+  };
+
+  searchJobs.on('update', onUpdate);
+  res.on('close', () => searchJobs.off('update', onUpdate));
+  send(searchJobs.view(job));
+});
+
+/**
+ * API Route: Cancel a job (deletes its async search)
+ * DELETE /api/jobs/:id
+ */
+router.delete('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = searchJobs.get(req.params.id, req.authUser || '');
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    await searchJobs.cancel(job);
+    res.json({ success: true, job: searchJobs.view(job) });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ 
+      error: 'Failed to cancel job',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * Error message for a library scope that does not exist (or is turned off)
+ */
+function unknownScopeMessage(scope) {
+  return `Unknown library "${scope}". Available: ${queryLibraries.scopes().join(', ')}`;
+}
+
+/**
+ * Why a saved query body is invalid, or null when it is valid
+ * @param {Object} body - Saved query fields
+ * @param {boolean} [partial=false] - Only check the fields given (updates)
+ */
+function savedQueryError(body, partial = false) {
+  const { name, language, query, searches, templateId, params, cluster, convertOptions, tags } = body;
+  if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    return 'Name is required';
+  }
+  if (!partial && !query && !searches && !templateId) {
+    return 'A query, searches or templateId is required';
+  }
+  if (language !== undefined && !QUERY_LANGUAGES.includes(language)) {
+    return `Unsupported language "${language}". Supported: ${QUERY_LANGUAGES.join(', ')}`;
+  }
+  if (!isParamsObject(params)) {
+    return 'Params must be an object of placeholder values';
+  }
+  if (cluster !== undefined && !clusters.has(cluster)) {
+    return unknownClusterMessage(cluster);
+  }
+  if (convertOptions !== undefined && (typeof convertOptions !== 'object' || convertOptions === null || Array.isArray(convertOptions))) {
+    return 'Convert options must be an object of /api/convert options';
+  }
+  const convertOptionsError = convertOptions !== undefined && tableOptionsError(convertOptions);
+  if (convertOptionsError) {
+    return convertOptionsError;
+  }
+  if (tags !== undefined && !(Array.isArray(tags) && tags.every(tag => typeof tag === 'string'))) {
+    return 'Tags must be a list of strings';
+  }
+  return null;
+}
+
+/**
+ * API Route: List saved queries of the user's library and the team library
+ * GET /api/saved-queries?scope=user|team&tag=name
+ */
+router.get('/api/saved-queries', (req, res) => {
+  try {
+    const { scope, tag } = req.query;
+    const username = req.authUser || '';
+    const scopes = queryLibraries.scopes();
+
+    if (scope !== undefined && !scopes.includes(scope)) {
+      return res.status(400).json({ error: unknownScopeMessage(scope) });
+    }
+
+    const queries = (scope ? [scope] : scopes).flatMap(name =>
+      queryLibraries.get(name, username).list({ tag }).map(query => ({ ...query, scope: name }))
+    );
+    res.json({ queries, scopes });
+  } catch (error) {
+    console.error('Error listing saved queries:', error);
+    res.status(500).json({ 
+      error: 'Failed to list saved queries',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * API Route: Save a query
+ * POST /api/saved-queries
+ * Body: { scope?: 'user'|'team', name: string, description?: string, index?: string, language?: string,
+ *         query?: object|string, searches?: object[], params?: object, templateId?: string, cluster?: string,
+ *         convertOptions?: object, tags?: string[] }
+ */
+router.post('/api/saved-queries', (req, res) => {
+  try {
+    const { scope = 'user' } = req.body;
+    const username = req.authUser || '';
+    const library = queryLibraries.get(scope, username);
+
+    if (!library) {
+      return res.status(400).json({ error: unknownScopeMessage(scope) });
+    }
+
+    const error = savedQueryError(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const query = library.create(req.body, username);
+    res.status(201).json({ success: true, query: { ...query, scope } });
+  } catch (error) {
+    console.error('Error saving query:', error);
+    res.status(500).json({ 
+      error: 'Failed to save query',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * API Route: Get a saved query
+ * GET /api/saved-queries/:scope/:id
+ */
+router.get('/api/saved-queries/:scope/:id', (req, res) => {
+  try {
+    const { scope, id } = req.params;
+    const library = queryLibraries.get(scope, req.authUser || '');
+    if (!library) {
+      return res.status(400).json({ error: unknownScopeMessage(scope) });
+    }
+
+    const query = library.get(id);
+    if (!query) {
+      return res.status(404).json({ error: 'Saved query not found' });
+    }
+    res.json({ query: { ...query, scope } });
+  } catch (error) {
+    console.error('Error reading saved query:', error);
+    res.status(500).json({ 
+      error: 'Failed to read saved query',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * API Route: Update a saved query (only the fields given change)
+ * PUT /api/saved-queries/:scope/:id
+ */
+router.put('/api/saved-queries/:scope/:id', (req, res) => {
+  try {
+    const { scope, id } = req.params;
+    const username = req.authUser || '';
+    const library = queryLibraries.get(scope, username);
+    if (!library) {
+      return res.status(400).json({ error: unknownScopeMessage(scope) });
+    }
+
+    const error = savedQueryError(req.body, true);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const query = library.update(id, req.body, username);
+    if (!query) {
+      return res.status(404).json({ error: 'Saved query not found' });
+    }
+    res.json({ success: true, query: { ...query, scope } });
+  } catch (error) {
+    console.error('Error updating saved query:', error);
+    res.status(500).json({ 
+      error: 'Failed to update saved query',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * API Route: Copy a saved query, into the same or the other library
+ * POST /api/saved-queries/:scope/:id/duplicate
+ * Body: { scope?: 'user'|'team', name?: string } (default: same library, "<name> (copy)")
+ */
+router.post('/api/saved-queries/:scope/:id/duplicate', (req, res) => {
+  try {
+    const { scope, id } = req.params;
+    const { scope: targetScope = scope, name } = req.body || {};
+    const username = req.authUser || '';
+    const library = queryLibraries.get(scope, username);
+    const target = queryLibraries.get(targetScope, username);
+    if (!library || !target) {
+      return res.status(400).json({ error: unknownScopeMessage(library ? targetScope : scope) });
+    }
+
+    const original = library.get(id);
+    if (!original) {
+      return res.status(404).json({ error: 'Saved query not found' });
+    }
+
+    const copyName = name ?? `${original.name} (copy)`;
+    if (typeof copyName !== 'string' || !copyName.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const query = target.create({ ...original, name: copyName }, username);
+    res.status(201).json({ success: true, query: { ...query, scope: targetScope } });
+  } catch (error) {
+    console.error('Error duplicating saved query:', error);
+    res.status(500).json({ 
+      error: 'Failed to duplicate saved query',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * API Route: Delete a saved query
+ * DELETE /api/saved-queries/:scope/:id
+ */
+router.delete('/api/saved-queries/:scope/:id', (req, res) => {
+  try {
+    const { scope, id } = req.params;
+    const library = queryLibraries.get(scope, req.authUser || '');
+    if (!library) {
+      return res.status(400).json({ error: unknownScopeMessage(scope) });
+    }
+
+    if (!library.remove(id)) {
+      return res.status(404).json({ error: 'Saved query not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting saved query:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete saved query',
+      message: error.message 
+    });
+  }
+});
+
+// Scheduled saved queries; each run appends its table to a DuckDB table of the schedule's owner
+const scheduler = new QueryScheduler({
+  file: process.env.SCHEDULES_FILE || path.join(DATA_DIR, '.schedules.json'),
+  run: runSchedule,
+});
 
 /**
- * API Route: Current user / auth status (bypasses auth so it can return "No auth" when disabled)
- * GET /api/me
+ * One run of a schedule: run its saved query, convert the response with esToTable
+ * (using the saved conversion options) and append the rows to the schedule's
+ * DuckDB table with a `snapshot_at` column
+ * @param {Object} schedule - Schedule from the scheduler
+ * @returns {Promise<Object>} Run log details { cluster, table, rows, snapshotAt }
  */
-router.get('/api/me', (req, res) => {
-  if (!AUTH_REQUIRED) {
-    return res.json({ authEnabled: false, username: null });
+async function runSchedule(schedule) {
+  const { username } = schedule;
+  const savedQuery = queryLibraries.find(schedule.savedQuery, username);
+  if (!savedQuery) {
+    throw new Error('The saved query no longer exists');
+  }
+  const cluster = savedQuery.cluster || clusters.defaultName;
+  if (!clusters.has(cluster)) {
+    throw new Error(unknownClusterMessage(cluster));
   }
-  const username = req.headers[AUTH_HEADER] || null;
-  res.json({ authEnabled: true, username });
-});
 
-// Create base data directory if it doesn't exist
-const DATA_DIR = path.join(__dirname, 'data');
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+  // Scheduled runs take the first page of hits even if the saved query exports all of them
+  const { index, language = 'dsl', query, searches, params, templateId } = savedQuery;
+  const request = { index, language, query, searches, params, templateId };
+  const rendered = renderQueryRequest(request);
+  console.log(`Scheduled run of "${schedule.name}" for user: ${username || 'anonymous'}`);
+  const esResponse = await executeSearch(clusters.get(cluster), request, rendered, username);
+
+  // The DSL query lets esToTable recognise aggregation types
+  const { options, schemaOptions } = getTableOptions({
+    ...(language === 'dsl' && !searches && rendered.renderedQuery ? { query: rendered.renderedQuery } : {}),
+    ...savedQuery.convertOptions,
+    ...schedule.convertOptions,
+  });
+  const { rows } = applySchema(esToTable(esResponse, options), schemaOptions);
+  const snapshot = await getDuckDBService(username).appendRows(schedule.table, rows);
+  return { cluster, table: snapshot.tableName, rows: snapshot.rowCount, snapshotAt: snapshot.snapshotAt };
 }
 
-// Initialize Kibana client
-const kibanaClient = new KibanaClient();
-
-// Map to store DuckDB service instances per user
-const duckdbInstances = new Map();
-
 /**
- * Get user-specific data directory
- * @param {string} username - Username (email)
- * @returns {string} Path to user's data directory
+ * Why a schedule is invalid, or null when it is valid
+ * @param {Object} schedule - Schedule fields (for updates: the schedule with the changes applied)
+ * @param {string} username - Owner of the schedule
  */
-function getUserDataDir(username) {
-  if (!username) {
-    // Fallback to shared directory if no username (when auth is disabled)
-    return DATA_DIR;
+function scheduleError(schedule, username) {
+  const { name, savedQuery, cron, timezone, table, convertOptions, paused } = schedule;
+  if (!queryLibraries.find(savedQuery, username)) {
+    return 'Saved query not found';
   }
-  // Sanitize username for filesystem (replace @ and other special chars)
-  const safeUsername = username.replace(/[^a-zA-Z0-9._-]/g, '_');
-  const userDir = path.join(DATA_DIR, safeUsername);
-  if (!fs.existsSync(userDir)) {
-    fs.mkdirSync(userDir, { recursive: true });
+  const invalidCron = cronError(cron, timezone);
+  if (invalidCron) {
+    return invalidCron;
   }
-  return userDir;
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Name is required';
+  }
+  if (typeof table !== 'string' || !/[a-zA-Z0-9]/.test(table)) {
+    return 'Table must be a DuckDB table name';
+  }
+  if (convertOptions !== undefined && (typeof convertOptions !== 'object' || convertOptions === null || Array.isArray(convertOptions))) {
+    return 'Convert options must be an object of /api/convert options';
+  }
+  const convertOptionsError = convertOptions !== undefined && tableOptionsError(convertOptions);
+  if (convertOptionsError) {
+    return convertOptionsError;
+  }
+  if (paused !== undefined && typeof paused !== 'boolean') {
+    return 'Paused must be true or false';
+  }
+  return null;
 }
 
 /**
- * Get or create DuckDB service instance for a user
- * @param {string} username - Username (email)
- * @returns {DuckDBService} DuckDB service instance
+ * Table name as DuckDBService stores it
  */
-function getDuckDBService(username) {
-  if (!username) {
-    // Fallback to shared instance if no username (when auth is disabled)
-    if (!duckdbInstances.has('')) {
-      const sharedDir = getUserDataDir('');
-      const service = new DuckDBService(sharedDir);
-      duckdbInstances.set('', service);
+function toTableName(name) {
+  return name.replace(/[^a-zA-Z0-9_]/g, '_').toLowerCase();
+}
+
+/**
+ * API Route: List the user's schedules (without run logs)
+ * GET /api/schedules
+ */
+router.get('/api/schedules', (req, res) => {
+  try {
+    res.json({ schedules: scheduler.list(req.authUser || ''), enabled: scheduler.enabled });
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({ 
+      error: 'Failed to list schedules',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * API Route: Schedule a saved query
+ * POST /api/schedules
+ * Body: { savedQuery: { scope, id }, cron: string, timezone?: string, name?: string, table?: string,
+ *         convertOptions?: object, paused?: boolean }
+ * `name` defaults to the saved query's name and `table` to snapshot_<name>.
+ */
+router.post('/api/schedules', (req, res) => {
+  try {
+    const username = req.authUser || '';
+    const savedQuery = queryLibraries.find(req.body.savedQuery, username);
+    const name = req.body.name ?? savedQuery?.name;
+    const schedule = {
+      ...req.body,
+      name,
+      table: req.body.table ?? (typeof name === 'string' ? `snapshot_${name}` : undefined),
+    };
+
+    const error = scheduleError(schedule, username);
+    if (error) {
+      return res.status(400).json({ error });
     }
-    return duckdbInstances.get('');
+
+    const created = scheduler.create({
+      ...schedule,
+      savedQuery: { scope: req.body.savedQuery.scope, id: req.body.savedQuery.id },
+      table: toTableName(schedule.table),
+    }, username);
+    res.status(201).json({ success: true, schedule: created });
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({ 
+      error: 'Failed to create schedule',
+      message: error.message 
+    });
   }
+});
 
-  if (!duckdbInstances.has(username)) {
-    const userDir = getUserDataDir(username);
-    const service = new DuckDBService(userDir);
-    duckdbInstances.set(username, service);
+/**
+ * API Route: A schedule with its run log (newest first; `status` is success, failed or skipped)
+ * GET /api/schedules/:id
+ */
+router.get('/api/schedules/:id', (req, res) => {
+  try {
+    const schedule = scheduler.get(req.params.id, req.authUser || '');
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ schedule });
+  } catch (error) {
+    console.error('Error reading schedule:', error);
+    res.status(500).json({ 
+      error: 'Failed to read schedule',
+      message: error.message 
+    });
   }
-  return duckdbInstances.get(username);
-}
+});
 
 /**
- * API Route: Execute Elasticsearch query
- * POST /api/query
- * Body: { index: string, query: object }
+ * API Route: Update a schedule (only the fields given change)
+ * PUT /api/schedules/:id
  */
-router.post('/api/query', async (req, res) => {
+router.put('/api/schedules/:id', (req, res) => {
   try {
-    const { index, query } = req.body;
     const username = req.authUser || '';
-
-    if (!index) {
-      return res.status(400).json({ error: 'Index is required' });
+    const existing = scheduler.get(req.params.id, username);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
     }
 
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
+    const error = scheduleError({ ...existing, ...req.body }, username);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    console.log(`Executing query on index: ${index} for user: ${username || 'anonymous'}`);
-    
-    // Execute query via Kibana
-    const esResponse = await kibanaClient.search(index, query);
-
-    // Check if response has aggregations
-    const hasAggregations = esResponse.aggregations && Object.keys(esResponse.aggregations).length > 0;
-
-    // Generate descriptive filename from aggregation names + timestamp
-    const now = new Date();
-    const timestamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '').replace('T', 'T');
-    let namePart = 'query';
-    if (hasAggregations) {
-      // Extract unique aggregation names recursively
-      const aggNames = new Set();
-      const extractAggNames = (obj) => {
-        if (!obj || typeof obj !== 'object') return;
-        for (const key of Object.keys(obj)) {
-          if (obj[key] && typeof obj[key] === 'object' && obj[key].buckets !== undefined) {
-            aggNames.add(key);
-            // Check for nested aggregations in first bucket only (to get structure, not duplicates)
-            const buckets = Array.isArray(obj[key].buckets) ? obj[key].buckets : Object.values(obj[key].buckets || {});
-            if (buckets.length > 0) {
-              extractAggNames(buckets[0]);
-            }
-          }
-        }
-      };
-      extractAggNames(esResponse.aggregations);
-      if (aggNames.size > 0) {
-        namePart = [...aggNames].join('_').replace(/[^a-zA-Z0-9_]/g, '');
-        // Limit filename length (leave room for timestamp and extension)
-        if (namePart.length > 100) {
-          namePart = namePart.substring(0, 100);
-        }
-      }
+    const schedule = scheduler.update(req.params.id, username, {
+      ...req.body,
+      ...(req.body.table !== undefined ? { table: toTableName(req.body.table) } : {}),
+    });
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ 
+      error: 'Failed to update schedule',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * API Route: Pause or resume a schedule
+ * POST /api/schedules/:id/pause
+ * POST /api/schedules/:id/resume
+ */
+router.post('/api/schedules/:id/:action', (req, res, next) => {
+  const { id, action } = req.params;
+  if (action !== 'pause' && action !== 'resume') {
+    return next();
+  }
+  try {
+    const schedule = scheduler.update(id, req.authUser || '', { paused: action === 'pause' });
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
     }
-    const filename = `${namePart}_${timestamp}.json`;
-    const userDataDir = getUserDataDir(username);
-    const filepath = path.join(userDataDir, filename);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error(`Error ${action === 'pause' ? 'pausing' : 'resuming'} schedule:`, error);
+    res.status(500).json({ 
+      error: `Failed to ${action} schedule`,
+      message: error.message 
+    });
+  }
+});
 
-    // Save JSON response locally
-    fs.writeFileSync(filepath, JSON.stringify(esResponse, null, 2), 'utf8');
-    
-    res.json({
-      success: true,
-      filename,
-      filepath: `/api/files/${filename}`,
-      hasAggregations,
-      hits: esResponse.hits?.hits?.length || 0,
-      total: esResponse.hits?.total?.value || esResponse.hits?.total || 0,
+/**
+ * API Route: Run a schedule now (also when paused); answers with the run log entry
+ * POST /api/schedules/:id/run
+ */
+router.post('/api/schedules/:id/run', async (req, res) => {
+  try {
+    const run = await scheduler.runNow(req.params.id, req.authUser || '');
+    if (!run) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ success: run.status === 'success', run });
+  } catch (error) {
+    console.error('Error running schedule:', error);
+    res.status(500).json({ 
+      error: 'Failed to run schedule',
+      message: error.message 
     });
+  }
+});
+
+/**
+ * API Route: Delete a schedule (its DuckDB table is kept)
+ * DELETE /api/schedules/:id
+ */
+router.delete('/api/schedules/:id', (req, res) => {
+  try {
+    if (!scheduler.remove(req.params.id, req.authUser || '')) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error executing query:', error);
+    console.error('Error deleting schedule:', error);
     res.status(500).json({ 
-      error: 'Failed to execute query',
+      error: 'Failed to delete schedule',
       message: error.message 
     });
   }
 });
 
 /**
- * API Route: Convert JSON file to CSV
+ * API Route: Convert JSON file to CSV (or NDJSON, XLSX, Markdown, HTML, Parquet)
  * POST /api/convert
- * Body: { filename: string, aggregationName?: string }
+ * Body: { filename: string, format?: 'csv'|'ndjson'|'xlsx'|'markdown'|'html'|'parquet', aggregationName?: string, allAggregations?: boolean, siblings?: 'separate'|'cross'|'stack', siblingMetrics?: 'columns'|'rows'|'ignore',
+ *         query?: object, flatten?: boolean, explode?: string, hitMetadata?: boolean|string[], orderByMapping?: boolean,
+ *         rollup?: boolean|{ marker?: string, grandTotal?: boolean }, fillGaps?: boolean|{ interval?: number|string|object, maxBuckets?: number },
+ *         pivot?: { column: string, value?: string|string[], index?: string[], fill?: any, maxColumns?: number, otherColumn?: string|false, additive?: string[] },
+ *         columns?: string[], columnOrder?: string[], exclude?: string[], rename?: object, fillValue?: any, stream?: boolean }
  */
 router.post('/api/convert', async (req, res) => {
   try {
-    const { filename, aggregationName } = req.body;
+    const { filename, format = 'csv', aggregationName, allAggregations, siblings, orderByMapping, fillGaps, pivot, stream } = req.body;
     const username = req.authUser || '';
 
     if (!filename) {
       return res.status(400).json({ error: 'Filename is required' });
     }
 
+    if (!OUTPUT_FORMATS[format]) {
+      return res.status(400).json({ error: `Unsupported format "${format}". Supported: ${Object.keys(OUTPUT_FORMATS).join(', ')}` });
+    }
+
+    const optionsError = tableOptionsError(req.body);
+    if (optionsError) {
+      return res.status(400).json({ error: optionsError });
+    }
+
     const userDataDir = getUserDataDir(username);
     const filepath = path.join(userDataDir, filename);
     
@@ -246,12 +1257,72 @@ router.post('/api/convert', async (req, res) => {
       return res.status(404).json({ error: 'File not found' });
     }
 
+    // Converted files keep the cluster of the stored result and link back to it
+    const { cluster, savedQuery, request } = readResultMeta(userDataDir, filename);
+    const convertOptions = { ...req.body };
+    delete convertOptions.filename;
+    const outputMeta = (details) => ({
+      ...(cluster ? { cluster } : {}),
+      user: username || null,
+      createdAt: new Date().toISOString(),
+      sourceFile: filename,
+      convertOptions,
+      ...details,
+    });
+
+    // The query the result came from tells aggregation types apart (geo grids, adjacency_matrix, multi_terms fields)
+    const storedQuery = searchRequestBody(request);
+    const { options, schemaOptions } = getTableOptions(req.body.query === undefined && storedQuery ? { ...req.body, query: storedQuery } : req.body);
+
+    // Large files are converted row by row instead of being loaded into memory (gap filling, pivots
+    // and top-level siblings that are crossed or stacked need all rows)
+    const joinsTopLevel = allAggregations && (siblings === 'cross' || siblings === 'stack');
+    const streamable = (format === 'csv' || format === 'ndjson' || format === 'parquet') && !fillGaps && !pivot && !joinsTopLevel;
+    if (streamable && (stream || fs.statSync(filepath).size >= STREAMING_THRESHOLD_BYTES)) {
+      const tmpPath = path.join(userDataDir, `.${filename}.${Date.now()}.converting`);
+      try {
+        if (orderByMapping) {
+          options.mapping = await getHitMapping(cluster, await readHitIndices(filepath));
+        }
+        const { rows, columns } = await streamConvertFile(filepath, tmpPath, {
+          ...options, ...schemaOptions, format: format === 'csv' ? 'csv' : 'ndjson'
+        });
+        if (rows === 0) {
+          return res.status(400).json({ error: 'No data to convert.' });
+        }
+
+        const outputFilename = getOutputFilename(columns, format);
+        const outputFilepath = path.join(userDataDir, outputFilename);
+        if (format === 'parquet') {
+          await getDuckDBService(username).exportParquet(tmpPath, outputFilepath);
+        } else {
+          fs.renameSync(tmpPath, outputFilepath);
+        }
+        writeResultMeta(userDataDir, outputFilename, outputMeta({ rows, columns }));
+        updateSavedQueryRun(savedQuery, username, (library, id) => library.completeRun(id, filename, { rows }));
+        return res.json(convertResponse(format, outputFilename, { rows, columns, streamed: true }));
+      } finally {
+        fs.rmSync(tmpPath, { force: true });
+      }
+    }
+
     // Read JSON file
     const esOutput = JSON.parse(fs.readFileSync(filepath, 'utf8'));
 
-    // Convert to table
-    const options = aggregationName ? { aggregationName } : {};
-    const table = esToTable(esOutput, options);
+    // Order raw hit columns like the index mapping of the indices the hits came from
+    if (orderByMapping && Array.isArray(esOutput.hits?.hits)) {
+      options.mapping = await getHitMapping(cluster, [...new Set(esOutput.hits.hits.map(h => h._index).filter(Boolean))]);
+    }
+
+    // Excel gets one sheet per top-level aggregation (or per search of a multi-search)
+    // unless a single table was requested
+    const aggregationCount = Object.keys(esOutput.aggregations || {}).length;
+    const isMultiSearch = Array.isArray(esOutput.responses);
+    const sheets = format === 'xlsx' && (isMultiSearch || (!aggregationName && !allAggregations && aggregationCount > 1))
+      ? esToTables(esOutput, options)
+      : null;
+    const searchErrors = getMultiSearchErrors(esOutput);
+    const table = sheets ? Object.values(sheets).flat() : esToTable(esOutput, options);
 
     if (table.length === 0) {
       return res.status(400).json({ 
@@ -259,38 +1330,164 @@ router.post('/api/convert', async (req, res) => {
       });
     }
 
-    // Convert to CSV
-    const csv = tableToCSV(table);
-
-    // Generate descriptive filename from column headers + timestamp
-    const columns = Object.keys(table[0] || {});
-    let columnPart = columns.join('_').replace(/[^a-zA-Z0-9_]/g, '');
-    // Limit filename length (leave room for timestamp and extension)
-    if (columnPart.length > 100) {
-      columnPart = columnPart.substring(0, 100);
+    // Apply the column selection/renaming
+    const { columns, rows } = applySchema(table, schemaOptions);
+
+    // Name the file after the column headers (or sheet names)
+    const outputFilename = getOutputFilename(sheets ? Object.keys(sheets) : columns, format);
+    const outputFilepath = path.join(userDataDir, outputFilename);
+
+    switch (format) {
+      case 'csv':
+        fs.writeFileSync(outputFilepath, tableToCSV(rows), 'utf8');
+        break;
+      case 'ndjson':
+        fs.writeFileSync(outputFilepath, tableToNDJSON(rows), 'utf8');
+        break;
+      case 'markdown':
+        fs.writeFileSync(outputFilepath, tableToMarkdown(rows), 'utf8');
+        break;
+      case 'html':
+        fs.writeFileSync(outputFilepath, tableToHTML(rows, { title: filename }), 'utf8');
+        break;
+      case 'xlsx':
+        fs.writeFileSync(outputFilepath, await tablesToXLSX(sheets || rows, sheets ? schemaOptions : { sheetName: aggregationName || Object.keys(esOutput.aggregations || {})[0] || (esOutput.columns ? 'results' : 'hits') }));
+        break;
+      case 'parquet': {
+        // DuckDB reads a temporary NDJSON file and writes Parquet
+        const tmpPath = path.join(userDataDir, `.${outputFilename}.ndjson`);
+        fs.writeFileSync(tmpPath, tableToNDJSON(rows), 'utf8');
+        try {
+          await getDuckDBService(username).exportParquet(tmpPath, outputFilepath);
+        } finally {
+          fs.unlinkSync(tmpPath);
+        }
+        break;
+      }
     }
-    const now = new Date();
-    const timestamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '').replace('T', 'T');
-    const csvFilename = `${columnPart}_${timestamp}.csv`;
-    const csvFilepath = path.join(userDataDir, csvFilename);
-    fs.writeFileSync(csvFilepath, csv, 'utf8');
 
-    res.json({
-      success: true,
-      csvFilename,
-      csvFilepath: `/api/files/${csvFilename}`,
-      rows: table.length,
-      columns: Object.keys(table[0] || {}),
-    });
+    writeResultMeta(userDataDir, outputFilename, outputMeta({ rows: rows.length, columns, ...(sheets ? { sheets: Object.keys(sheets) } : {}) }));
+    // The table's row count completes the run of the saved query the file came from
+    updateSavedQueryRun(savedQuery, username, (library, id) => library.completeRun(id, filename, { rows: rows.length }));
+
+    res.json(convertResponse(format, outputFilename, {
+      ...(sheets ? { sheets: Object.keys(sheets) } : {}),
+      ...(searchErrors.length > 0 ? { errors: searchErrors } : {}),
+      rows: rows.length,
+      columns,
+    }));
   } catch (error) {
-    console.error('Error converting to CSV:', error);
+    console.error('Error converting file:', error);
     res.status(500).json({ 
-      error: 'Failed to convert to CSV',
+      error: 'Failed to convert file',
       message: error.message 
     });
   }
 });
 
+/**
+ * The Query DSL search body of a stored result's request (see queryResultMeta), or null
+ * for ES|QL, SQL, multi-search and stored template requests
+ * @param {Object} [request] - `request` of the result's sidecar
+ */
+function searchRequestBody(request) {
+  if (!request || (request.language && request.language !== 'dsl') || request.searches) {
+    return null;
+  }
+  const query = request.renderedQuery || request.query;
+  return query !== undefined && isParamsObject(query) ? query : null;
+}
+
+/**
+ * Mapping of the indices raw hits came from, for ordering their columns (orderByMapping)
+ * @param {string} [cluster] - Cluster the file came from (the default one if it is no longer configured)
+ * @param {Array<string>} indices - Index names of the hits
+ * @returns {Promise<Object|undefined>} The mapping, or undefined (first-seen column order)
+ */
+async function getHitMapping(cluster, indices) {
+  if (indices.length === 0) {
+    return undefined;
+  }
+  try {
+    return await clusters.get(clusters.has(cluster) ? cluster : undefined).getMapping(indices.join(','));
+  } catch (err) {
+    console.warn(`Could not fetch mapping for ${indices.join(',')}, using first-seen column order:`, err.message);
+    return undefined;
+  }
+}
+
+/**
+ * Why the esToTable options of an /api/convert request body are invalid, or null when they are valid
+ * @param {Object} body - /api/convert request body (or saved conversion options)
+ */
+function tableOptionsError({ siblings, siblingMetrics, hitMetadata }) {
+  if (siblings !== undefined && !SIBLING_MODES.includes(siblings)) {
+    return `Unsupported siblings mode "${siblings}". Supported: ${SIBLING_MODES.join(', ')}`;
+  }
+  if (siblingMetrics !== undefined && !SIBLING_METRICS_MODES.includes(siblingMetrics)) {
+    return `Unsupported siblingMetrics mode "${siblingMetrics}". Supported: ${SIBLING_METRICS_MODES.join(', ')}`;
+  }
+  if (hitMetadata !== undefined && typeof hitMetadata !== 'boolean'
+    && !(Array.isArray(hitMetadata) && hitMetadata.every(name => HIT_METADATA.includes(name)))) {
+    return `Unsupported hitMetadata. Use true, false or a list of: ${HIT_METADATA.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * esToTable options and column selection (applySchema) options of an /api/convert request body
+ * @param {Object} body - /api/convert request body (or saved conversion options)
+ * @returns {Object} { options, schemaOptions }
+ */
+function getTableOptions(body) {
+  const {
+    aggregationName, allAggregations, siblings, siblingMetrics, query, flatten, explode, hitMetadata,
+    rollup, fillGaps, pivot, columns, columnOrder, exclude, rename, fillValue
+  } = body;
+  const options = {};
+  if (aggregationName) options.aggregationName = aggregationName;
+  if (allAggregations) options.allAggregations = true;
+  if (siblings) options.siblings = siblings;
+  if (siblingMetrics) options.siblingMetrics = siblingMetrics;
+  if (query) options.query = query;
+  if (flatten) options.flatten = true;
+  if (explode) options.explode = explode;
+  if (hitMetadata) options.hitMetadata = hitMetadata;
+  if (rollup) options.rollup = rollup;
+  if (fillGaps) options.fillGaps = fillGaps;
+  if (pivot) options.pivot = pivot;
+  return { options, schemaOptions: { columns, columnOrder, exclude, rename, fillValue } };
+}
+
+/**
+ * Builds a descriptive output filename from column headers (or sheet names) + timestamp
+ */
+function getOutputFilename(names, format) {
+  let columnPart = names.join('_').replace(/[^a-zA-Z0-9_]/g, '');
+  // Limit filename length (leave room for timestamp and extension)
+  if (columnPart.length > 100) {
+    columnPart = columnPart.substring(0, 100);
+  }
+  const now = new Date();
+  const timestamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '').replace('T', 'T');
+  return `${columnPart}_${timestamp}.${OUTPUT_FORMATS[format].extension}`;
+}
+
+/**
+ * Response body of /api/convert
+ */
+function convertResponse(format, outputFilename, details) {
+  return {
+    success: true,
+    format,
+    outputFilename,
+    outputFilepath: `/api/files/${outputFilename}`,
+    // Kept for CSV clients
+    ...(format === 'csv' ? { csvFilename: outputFilename, csvFilepath: `/api/files/${outputFilename}` } : {}),
+    ...details,
+  };
+}
+
 /**
  * API Route: Get file list
  * GET /api/files
@@ -311,12 +1508,17 @@ router.get('/api/files', (req, res) => {
         const stats = fs.statSync(filepath);
         // Use mtime (modification time) as primary, fallback for containers where birthtime may not be reliable
         const created = stats.birthtime && stats.birthtime.getTime() > 0 ? stats.birthtime : stats.mtime;
+        const meta = readResultMeta(userDataDir, filename);
         return {
           filename,
           size: stats.size,
           created,
           modified: stats.mtime,
           url: `/api/files/${filename}`,
+          cluster: meta.cluster || null,
+          // The JSON result a converted file came from
+          sourceFile: meta.sourceFile || null,
+          rerunnable: Boolean(meta.request || meta.sourceFile),
         };
       })
       .sort((a, b) => new Date(b.modified) - new Date(a.modified));
@@ -352,8 +1554,9 @@ router.get('/api/files/:filename', (req, res) => {
     }
 
     // Set appropriate content type
-    const ext = path.extname(filename).toLowerCase();
-    const contentType = ext === '.csv' ? 'text/csv' : 'application/json';
+    const ext = path.extname(filename).toLowerCase().replace('.', '');
+    const outputFormat = Object.values(OUTPUT_FORMATS).find(f => f.extension === ext);
+    const contentType = outputFormat ? outputFormat.contentType : 'application/json';
     
     res.setHeader('Content-Type', contentType);
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -374,6 +1577,89 @@ router.get('/api/files/:filename', (req, res) => {
   }
 });
 
+/**
+ * API Route: Provenance of a stored file (see lib/result-meta.js)
+ * GET /api/files/:filename/meta
+ */
+router.get('/api/files/:filename/meta', (req, res) => {
+  try {
+    const { filename } = req.params;
+    const userDataDir = getUserDataDir(req.authUser || '');
+    const filepath = path.join(userDataDir, filename);
+
+    // Prevent path traversal
+    if (!filepath.startsWith(userDataDir)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!fs.existsSync(filepath)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.json({ filename, meta: readResultMeta(userDataDir, filename) });
+  } catch (error) {
+    console.error('Error reading file meta:', error);
+    res.status(500).json({ 
+      error: 'Failed to read file meta',
+      message: error.message 
+    });
+  }
+});
+
+/**
+ * API Route: Run the query of a stored result again, into a fresh result file.
+ * Placeholders are filled in again, so relative dates move on. For a converted
+ * file, the query of its source runs and the response adds the file's `convertOptions`.
+ * POST /api/files/:filename/rerun
+ */
+router.post('/api/files/:filename/rerun', async (req, res) => {
+  try {
+    const { filename } = req.params;
+    const username = req.authUser || '';
+    const userDataDir = getUserDataDir(username);
+    const filepath = path.join(userDataDir, filename);
+
+    // Prevent path traversal
+    if (!filepath.startsWith(userDataDir)) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!fs.existsSync(filepath)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const source = rerunSource(userDataDir, filename);
+    if (!source) {
+      return res.status(400).json({ error: 'No query is recorded for this file' });
+    }
+
+    const cluster = source.cluster || clusters.defaultName;
+    if (!clusters.has(cluster)) {
+      return res.status(400).json({ error: unknownClusterMessage(cluster) });
+    }
+
+    const { request, rerunOf, convertOptions } = source;
+    let rendered;
+    try {
+      rendered = renderQueryRequest(request);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid query template: ${error.message}` });
+    }
+
+    // A saved query that has been deleted since is left out
+    const savedQuery = source.savedQuery && queryLibraries.find(source.savedQuery, username) ? source.savedQuery : undefined;
+    console.log(`Re-running the query of ${rerunOf} for user: ${username || 'anonymous'}`);
+    const result = await runQueryRequest(request, rendered, { username, cluster, savedQuery, rerunOf });
+    res.json({ ...result, rerunOf, ...(convertOptions ? { convertOptions } : {}) });
+  } catch (error) {
+    console.error('Error re-running query:', error);
+    res.status(500).json({ 
+      error: 'Failed to re-run query',
+      message: error.message 
+    });
+  }
+});
+
 /**
  * API Route: Rename file
  * PUT /api/files/:filename
@@ -412,6 +1698,8 @@ router.put('/api/files/:filename', (req, res) => {
     }
 
     fs.renameSync(oldPath, newPath);
+    // Converted files link to their source by name
+    renameResultMeta(userDataDir, filename, newFilename);
     res.json({ 
       success: true, 
       message: 'File renamed',
@@ -448,6 +1736,7 @@ router.delete('/api/files/:filename', (req, res) => {
     }
 
     fs.unlinkSync(filepath);
+    fs.rmSync(getMetaPath(userDataDir, filename), { force: true });
     res.json({ success: true, message: 'File deleted' });
   } catch (error) {
     console.error('Error deleting file:', error);
@@ -695,9 +1984,14 @@ app.use(BASE_PATH, router);
 // Start server
 app.listen(PORT, () => {
   console.log(`ES2Tabular server running on http://localhost:${PORT}${BASE_PATH}`);
-  console.log(`Kibana: ${kibanaClient.baseUrl}`);
+  for (const name of clusters.names()) {
+    const client = clusters.get(name);
+    console.log(`Cluster ${name}${name === clusters.defaultName ? ' (default)' : ''}: ${client.backend} ${client.baseUrl}${client.space ? ` space ${client.space}` : ''}`);
+  }
   console.log(`Base data directory: ${DATA_DIR}`);
   console.log(`Per-user data directories: ${DATA_DIR}/<username>/`);
   console.log(`Per-user DuckDB databases: ${DATA_DIR}/<username>/es2tabular.duckdb`);
   console.log(`Auth: ${AUTH_REQUIRED ? `enabled (domain: @${AUTH_ALLOWED_DOMAIN})` : 'disabled'}`);
+  scheduler.start();
+  console.log(`Scheduler: ${scheduler.enabled ? `${scheduler.timers.size} active schedules` : 'disabled'}`);
 });
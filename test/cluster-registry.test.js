@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadClusterRegistry } from '../lib/cluster-registry.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'es2tabular-clusters-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+const caCert = path.join(dir, 'prod-ca.pem');
+fs.writeFileSync(caCert, '');
+
+const GLOBALS = {
+  KIBANA_USERNAME: 'prod-user',
+  KIBANA_PASSWORD: 'prod-secret',
+  KIBANA_SPACE: 'ops',
+  ES_API_KEY: 'prod-key',
+  ES_CA_CERT: caCert,
+  ES_TLS_VERIFY: 'false',
+};
+
+// The clients read the global credentials from process.env
+function withGlobals(fn) {
+  const saved = Object.fromEntries(Object.keys(GLOBALS).map(key => [key, process.env[key]]));
+  Object.assign(process.env, GLOBALS);
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+test('only the default cluster falls back to the global credentials and space', () => withGlobals(() => {
+  const clusters = loadClusterRegistry({
+    file: '',
+    env: {
+      CLUSTER_PROD_HOST: 'kibana.prod',
+      CLUSTER_STAGING_HOST: 'kibana.staging',
+      CLUSTER_EU_URL: 'https://es.eu:9200',
+      CLUSTER_DEFAULT: 'prod',
+    },
+  });
+
+  const prod = clusters.get('prod');
+  assert.equal(prod.username, 'prod-user');
+  assert.equal(prod.space, 'ops');
+
+  const staging = clusters.get('staging');
+  assert.equal(staging.username, undefined);
+  assert.equal(staging.password, undefined);
+  assert.equal(staging.space, undefined);
+  assert.equal(staging.getAuthHeaders().Authorization, undefined);
+
+  assert.equal(clusters.get('eu').apiKey, undefined);
+}));
+
+test('a cluster uses its own credentials, or the global ones when it opts in', () => withGlobals(() => {
+  const clusters = loadClusterRegistry({
+    file: '',
+    env: {
+      CLUSTER_PROD_HOST: 'kibana.prod',
+      CLUSTER_STAGING_HOST: 'kibana.staging',
+      CLUSTER_STAGING_USERNAME: 'staging-user',
+      CLUSTER_STAGING_PASSWORD: 'staging-secret',
+    },
+  });
+  assert.equal(clusters.get('staging').username, 'staging-user');
+
+  const file = path.join(dir, 'clusters.json');
+  fs.writeFileSync(file, JSON.stringify({ prod: { host: 'kibana.prod' }, qa: { host: 'kibana.qa', envCredentials: true } }));
+  assert.equal(loadClusterRegistry({ file, env: {} }).get('qa').username, 'prod-user');
+}));
+
+test('only the default cluster uses the global TLS settings', () => withGlobals(() => {
+  const clusters = loadClusterRegistry({
+    file: '',
+    env: {
+      CLUSTER_PROD_URL: 'https://es.prod:9200',
+      CLUSTER_EU_URL: 'https://es.eu:9200',
+      CLUSTER_LAB_URL: 'https://es.lab:9200',
+      CLUSTER_LAB_TLS_VERIFY: 'false',
+    },
+  });
+
+  const prod = clusters.get('prod');
+  assert.equal(prod.caCert, caCert);
+  assert.equal(prod.tlsVerify, false);
+
+  const eu = clusters.get('eu');
+  assert.equal(eu.caCert, undefined);
+  assert.equal(eu.tlsVerify, true);
+  assert.equal(eu.httpsAgent.options.rejectUnauthorized, true);
+
+  assert.equal(clusters.get('lab').tlsVerify, false);
+}));
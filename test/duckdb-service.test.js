@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DuckDBService } from '../lib/duckdb-service.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'es2tabular-duckdb-'));
+const db = new DuckDBService(dir);
+test.after(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const types = async table => Object.fromEntries((await db.describeTable(table)).map(c => [c.name, c.type]));
+const values = async (table, column) =>
+  (await db.query(`SELECT "${column}" AS value FROM ${table} ORDER BY snapshot_at`)).rows.map(r => r.value);
+
+test('appendRows keeps fractions after an integral first snapshot', async () => {
+  await db.appendRows('numbers', [{ host: 'a', avg: 2 }], new Date('2026-10-18T07:00:00Z'));
+  await db.appendRows('numbers', [{ host: 'a', avg: 1.5 }], new Date('2026-10-19T07:00:00Z'));
+  assert.deepEqual(await types('numbers'), { snapshot_at: 'TIMESTAMP', host: 'VARCHAR', avg: 'DOUBLE' });
+  assert.deepEqual(await values('numbers', 'avg'), [2, 1.5]);
+});
+
+test('appendRows stores strings after an all-null first snapshot', async () => {
+  await db.appendRows('empty_first', [{ host: 'a', note: null }], new Date('2026-10-18T07:00:00Z'));
+  await db.appendRows('empty_first', [{ host: 'a', note: 'restarted' }], new Date('2026-10-19T07:00:00Z'));
+  assert.equal((await types('empty_first')).note, 'VARCHAR');
+  assert.deepEqual(await values('empty_first', 'note'), [null, 'restarted']);
+});
+
+test('appendRows widens a number column that gets strings', async () => {
+  await db.appendRows('mixed', [{ key: 200 }], new Date('2026-10-18T07:00:00Z'));
+  await db.appendRows('mixed', [{ key: '_other_' }, { key: true }], new Date('2026-10-19T07:00:00Z'));
+  assert.equal((await types('mixed')).key, 'VARCHAR');
+  assert.deepEqual(await values('mixed', 'key'), ['200', '_other_', 'true']);
+});
+
+test('appendRows writes whole numbers of fractional columns widened to VARCHAR without a fraction', async () => {
+  await db.appendRows('fractions', [{ value: 200 }, { value: 1.5 }], new Date('2026-10-18T07:00:00Z'));
+  assert.equal((await types('fractions')).value, 'DOUBLE');
+  await db.appendRows('fractions', [{ value: 'n/a' }, { value: 3 }], new Date('2026-10-19T07:00:00Z'));
+  assert.equal((await types('fractions')).value, 'VARCHAR');
+  assert.deepEqual(await values('fractions', 'value'), ['200', '1.5', 'n/a', '3']);
+});
+
+test('appendRows adds the columns of later snapshots', async () => {
+  await db.appendRows('Daily Errors', [{ host: 'a', doc_count: 3 }], new Date('2026-10-18T07:00:00Z'));
+  const result = await db.appendRows('Daily Errors', [{ host: 'b', doc_count: 5, 'stats.max': 1.5, up: true }],
+    new Date('2026-10-19T07:00:00Z'));
+  assert.deepEqual(result, { tableName: 'daily_errors', rowCount: 1, snapshotAt: '2026-10-19T07:00:00.000Z' });
+  assert.deepEqual(await types('daily_errors'),
+    { snapshot_at: 'TIMESTAMP', host: 'VARCHAR', doc_count: 'BIGINT', 'stats.max': 'DOUBLE', up: 'BOOLEAN' });
+  assert.deepEqual(await values('daily_errors', 'stats.max'), [null, 1.5]);
+  assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith('.ndjson')), []);
+});
+
+test('appendRows widens columns of tables created with inferred types', async () => {
+  await db.run('CREATE TABLE legacy (snapshot_at TIMESTAMP, doc_count BIGINT, note JSON)');
+  await db.run(`INSERT INTO legacy VALUES ('2026-10-18 07:00:00', 3, NULL)`);
+  await db.appendRows('legacy', [{ doc_count: 2.5, note: 'x' }], new Date('2026-10-19T07:00:00Z'));
+  assert.deepEqual(await types('legacy'), { snapshot_at: 'TIMESTAMP', doc_count: 'DOUBLE', note: 'VARCHAR' });
+  assert.deepEqual(await values('legacy', 'doc_count'), [3, 2.5]);
+});
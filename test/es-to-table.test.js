@@ -0,0 +1,616 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { esToTable, esToTables, getMultiSearchErrors, applySchema, tableToCSV, tableToNDJSON, tableToMarkdown, tableToHTML, tablesToXLSX } from '../index.js';
+
+test('terms keys that look like geohashes get no geo columns', () => {
+  const esOutput = {
+    aggregations: { words: { buckets: [{ key: 'dune', doc_count: 2 }, { key: 'beef', doc_count: 1 }] } },
+  };
+  assert.deepEqual(esToTable(esOutput), [
+    { words: 'dune', doc_count: 2 },
+    { words: 'beef', doc_count: 1 },
+  ]);
+});
+
+test('filters named like adjacency_matrix pairs get no pair columns', () => {
+  const esOutput = {
+    aggregations: { kinds: { buckets: [{ key: 'A', doc_count: 2 }, { key: 'A&B', doc_count: 1 }] } },
+  };
+  assert.deepEqual(Object.keys(esToTable(esOutput)[1]), ['kinds', 'doc_count']);
+});
+
+test('geo grids are decoded from their definition', () => {
+  const esOutput = { aggregations: { cells: { buckets: [{ key: 'u33d', doc_count: 2 }] } } };
+  const [row] = esToTable(esOutput, { query: { aggs: { cells: { geohash_grid: { field: 'location', precision: 4 } } } } });
+  assert.deepEqual(Object.keys(row), ['cells', 'cells_min_lat', 'cells_max_lat', 'cells_min_lon', 'cells_max_lon', 'doc_count']);
+  assert.ok(row.cells_min_lat < 52.52 && row.cells_max_lat > 52.52);
+  assert.ok(row.cells_min_lon < 13.4 && row.cells_max_lon > 13.4);
+
+  const [tile] = esToTable(
+    { aggregations: { tiles: { buckets: [{ key: '0/0/0', doc_count: 1 }] } } },
+    { query: { aggs: { tiles: { geotile_grid: { field: 'location' } } } } }
+  );
+  assert.equal(tile.tiles_min_lon, -180);
+  assert.equal(tile.tiles_max_lon, 180);
+});
+
+test('adjacency_matrix pairs are split by the separator of their definition', () => {
+  const esOutput = { aggregations: { matrix: { buckets: [{ key: 'A', doc_count: 2 }, { key: 'A|B', doc_count: 1 }] } } };
+  const rows = esToTable(esOutput, { query: { aggs: { matrix: { adjacency_matrix: { separator: '|', filters: {} } } } } });
+  assert.deepEqual(rows, [
+    { matrix: 'A', matrix_a: 'A', matrix_b: 'A', doc_count: 2 },
+    { matrix: 'A|B', matrix_a: 'A', matrix_b: 'B', doc_count: 1 },
+  ]);
+});
+
+test('the rollup grand total only uses an exact hits.total', () => {
+  const aggregations = { by_host: { sum_other_doc_count: 0, buckets: [{ key: 'a', doc_count: 3 }] } };
+  const grandTotal = total => esToTable({ hits: { total, hits: [] }, aggregations }, { rollup: true }).at(-1);
+
+  assert.deepEqual(grandTotal({ value: 3, relation: 'eq' }), { by_host: '_total_', doc_count: 3 });
+  assert.deepEqual(grandTotal(3), { by_host: '_total_', doc_count: 3 });
+  assert.deepEqual(grandTotal({ value: 10000, relation: 'gte' }), { by_host: '_total_', doc_count: null, doc_count_lower_bound: 10000 });
+  // track_total_hits: false
+  assert.deepEqual(grandTotal(undefined), { by_host: '_total_', doc_count: null });
+});
+
+test('pivot folds only additive values into the other column', () => {
+  const aggregations = {
+    by_day: {
+      buckets: [{
+        key_as_string: '2024-01-01',
+        key: 1704067200000,
+        doc_count: 6,
+        by_host: {
+          sum_other_doc_count: 0,
+          buckets: [
+            { key: 'a', doc_count: 3, latency: { value: 10 }, bytes: { value: 100 }, size: { count: 3, min: 1, max: 5, avg: 2, sum: 6 } },
+            { key: 'b', doc_count: 2, latency: { value: 20 }, bytes: { value: 200 }, size: { count: 2, min: 1, max: 3, avg: 2, sum: 4 } },
+            { key: 'c', doc_count: 1, latency: { value: 30 }, bytes: { value: 300 }, size: { count: 1, min: 2, max: 2, avg: 2, sum: 2 } },
+          ],
+        },
+      }],
+    },
+  };
+  const query = { aggs: { by_day: { aggs: { by_host: { aggs: { latency: { avg: { field: 'l' } }, bytes: { sum: { field: 'b' } } } } } } } };
+  const pivot = { column: 'by_host', value: ['doc_count', 'latency', 'bytes', 'size.sum', 'size.max'], maxColumns: 1 };
+
+  const [row] = esToTable({ aggregations }, { query, pivot });
+  assert.equal(row['a.doc_count'], 3);
+  assert.equal(row['_other_.doc_count'], 3);
+  assert.equal(row['_other_.bytes'], 500);
+  assert.equal(row['_other_.size.sum'], 6);
+  // Averages and maxima of several hosts are not summed
+  assert.equal(row['_other_.latency'], null);
+  assert.equal(row['_other_.size.max'], null);
+
+  // Without the query, a sum metric is only known as additive when listed
+  const [listed] = esToTable({ aggregations }, { pivot: { ...pivot, additive: ['bytes'] } });
+  assert.equal(listed['_other_.bytes'], 500);
+  assert.equal(esToTable({ aggregations }, { pivot })[0]['_other_.bytes'], null);
+});
+
+test('fillGaps takes the interval from the aggregation definition', () => {
+  const hour = 3600000;
+  const esOutput = { aggregations: { by_hour: { buckets: [{ key: 0, doc_count: 1 }, { key: 3 * hour, doc_count: 2 }] } } };
+  const query = { aggs: { by_hour: { date_histogram: { field: '@timestamp', fixed_interval: '1h' } } } };
+
+  assert.deepEqual(esToTable(esOutput, { fillGaps: true, query }).map(r => r.doc_count), [1, 0, 0, 2]);
+  // Best-effort without the definition: the keys are 3h apart
+  assert.deepEqual(esToTable(esOutput, { fillGaps: true }).map(r => r.doc_count), [1, 2]);
+  // An explicit interval wins
+  assert.equal(esToTable(esOutput, { fillGaps: { interval: '30m' }, query }).length, 7);
+});
+
+test('fillGaps follows calendar intervals and skips aggregations that are no histograms', () => {
+  const months = { aggregations: { by_month: { buckets: [{ key: Date.UTC(2024, 0, 1), doc_count: 1 }, { key: Date.UTC(2024, 3, 1), doc_count: 1 }] } } };
+  const monthly = { aggs: { by_month: { date_histogram: { field: '@timestamp', calendar_interval: 'month' } } } };
+  assert.equal(esToTable(months, { fillGaps: true, query: monthly }).length, 4);
+
+  const codes = { aggregations: { codes: { buckets: [{ key: 200, doc_count: 5 }, { key: 404, doc_count: 1 }] } } };
+  const query = { aggs: { codes: { significant_terms: { field: 'status' } } } };
+  assert.equal(esToTable(codes, { fillGaps: true, query }).length, 2);
+});
+
+test('a plain top-level metric next to a bucket aggregation keeps the baseline columns', () => {
+  const esOutput = {
+    aggregations: {
+      by_host: { sum_other_doc_count: 0, buckets: [{ key: 'a', doc_count: 3, latency: { value: 10 } }, { key: 'b', doc_count: 1, latency: { value: 20 } }] },
+      avg_latency: { value: 12.5 },
+      errors: { doc_count: 2 },
+    },
+  };
+  const query = { aggs: { by_host: { terms: { field: 'host' } }, avg_latency: { avg: { field: 'latency' } }, errors: { filter: {} } } };
+  const expected = [
+    { by_host: 'a', doc_count: 3, latency: 10 },
+    { by_host: 'b', doc_count: 1, latency: 20 },
+  ];
+  assert.deepEqual(esToTable(esOutput), expected);
+  assert.deepEqual(esToTable(esOutput, { query }), expected);
+  assert.deepEqual(esToTable(esOutput, { siblingMetrics: 'rows' }), expected);
+});
+
+test('sibling pipeline aggregations become columns or a summary row', () => {
+  const aggregations = {
+    by_month: {
+      buckets: [
+        { key_as_string: '2024-01', key: 1, doc_count: 2, sales: { value: 50 }, sales_deriv: { value: 10, normalized_value: 0.5 } },
+        { key_as_string: '2024-02', key: 2, doc_count: 3, sales: { value: 60 } },
+      ],
+    },
+    max_sales: { value: 60, keys: ['2024-02'] },
+    sales_stats: { count: 2, min: 50, max: 60, avg: 55, sum: 110 },
+  };
+  const query = { aggs: { by_month: { date_histogram: { field: 'date', calendar_interval: 'month' } }, max_sales: { max_bucket: {} }, sales_stats: { stats_bucket: {} } } };
+
+  // max_bucket is recognised by its keys; stats_bucket looks like a stats metric and needs the definition
+  assert.deepEqual(esToTable({ aggregations })[0], {
+    by_month: '2024-01', doc_count: 2, sales: 50, sales_deriv: 10, 'sales_deriv.normalized_value': 0.5,
+    max_sales: 60, 'max_sales.keys': '2024-02',
+  });
+  assert.deepEqual(esToTable({ aggregations }, { query })[1], {
+    by_month: '2024-02', doc_count: 3, sales: 60, max_sales: 60, 'max_sales.keys': '2024-02',
+    'sales_stats.count': 2, 'sales_stats.min': 50, 'sales_stats.max': 60, 'sales_stats.avg': 55, 'sales_stats.sum': 110,
+  });
+
+  const rows = esToTable({ aggregations }, { query, siblingMetrics: 'rows' });
+  assert.equal(rows.length, 3);
+  assert.equal(rows[0].max_sales, undefined);
+  assert.deepEqual(rows[2], {
+    max_sales: 60, 'max_sales.keys': '2024-02',
+    'sales_stats.count': 2, 'sales_stats.min': 50, 'sales_stats.max': 60, 'sales_stats.avg': 55, 'sales_stats.sum': 110,
+  });
+  assert.equal(esToTable({ aggregations }, { siblingMetrics: 'ignore' })[0].max_sales, undefined);
+});
+
+test('parent pipeline aggregations keep their extra fields as columns', () => {
+  const aggregations = {
+    by_month: {
+      buckets: [
+        { key: 1, key_as_string: '2024-01', doc_count: 2, sales: { value: 50 }, total: { value: 50, value_as_string: '50 EUR' }, share: { value: 0.25 }, trend: { value: null } },
+        { key: 2, key_as_string: '2024-02', doc_count: 3, sales: { value: 60 }, total: { value: 110, value_as_string: '110 EUR' }, share: { value: 0.5 }, trend: { value: 55 } },
+      ],
+    },
+  };
+  assert.deepEqual(esToTable({ aggregations }), [
+    { by_month: '2024-01', doc_count: 2, sales: 50, total: 50, 'total.value_as_string': '50 EUR', share: 0.25, trend: null },
+    { by_month: '2024-02', doc_count: 3, sales: 60, total: 110, 'total.value_as_string': '110 EUR', share: 0.5, trend: 55 },
+  ]);
+});
+
+test('percentiles_bucket is a sibling pipeline when its definition says so', () => {
+  const aggregations = {
+    by_month: { buckets: [{ key: 1, key_as_string: '2024-01', doc_count: 2, sales: { value: 50 } }] },
+    sales_percentiles: { values: { '50.0': 55, '99.0': 60 } },
+  };
+  const query = { aggs: { by_month: { date_histogram: {} }, sales_percentiles: { percentiles_bucket: { buckets_path: 'by_month>sales' } } } };
+  assert.deepEqual(esToTable({ aggregations }), [{ by_month: '2024-01', doc_count: 2, sales: 50 }]);
+  assert.deepEqual(esToTable({ aggregations }, { query }), [
+    { by_month: '2024-01', doc_count: 2, sales: 50, 'sales_percentiles.p50': 55, 'sales_percentiles.p99': 60 },
+  ]);
+});
+
+test('sibling pipelines inside a bucket apply to the rows of that bucket', () => {
+  const aggregations = {
+    by_host: {
+      sum_other_doc_count: 0,
+      buckets: [{
+        key: 'a',
+        doc_count: 3,
+        avg_latency: { value: 7 },
+        by_day: { buckets: [{ key: 1, key_as_string: 'd1', doc_count: 1 }, { key: 2, key_as_string: 'd2', doc_count: 2 }] },
+        busiest_day: { value: 2, keys: ['d2'] },
+      }],
+    },
+  };
+  assert.deepEqual(esToTable({ aggregations }), [
+    { by_host: 'a', by_day: 'd1', doc_count: 1, busiest_day: 2, 'busiest_day.keys': 'd2' },
+    { by_host: 'a', by_day: 'd2', doc_count: 2, busiest_day: 2, 'busiest_day.keys': 'd2' },
+  ]);
+});
+
+test('allAggregations writes top-level metrics as a row of their own', () => {
+  const aggregations = {
+    by_country: { sum_other_doc_count: 0, buckets: [{ key: 'de', doc_count: 2 }] },
+    by_device: { sum_other_doc_count: 0, buckets: [{ key: 'phone', doc_count: 1 }] },
+    avg_price: { value: 9.5 },
+    errors: { doc_count: 4 },
+    max_country: { value: 2, keys: ['de'] },
+  };
+  assert.deepEqual(esToTable({ aggregations }, { allAggregations: true }), [
+    { by_country: 'de', doc_count: 2, max_country: 2, 'max_country.keys': 'de' },
+    { by_device: 'phone', doc_count: 1, max_country: 2, 'max_country.keys': 'de' },
+    { avg_price: 9.5, errors: 4 },
+  ]);
+  assert.equal(esToTable({ aggregations }, { allAggregations: true, siblings: 'stack' }).at(-1).avg_price, 9.5);
+
+  // Metrics only: one row, as without allAggregations
+  assert.deepEqual(esToTable({ aggregations: { avg_price: { value: 9.5 }, errors: { doc_count: 4 } } }, { allAggregations: true }),
+    [{ avg_price: 9.5, errors: 4 }]);
+});
+
+// Multi-value metric aggregations
+
+const metricRow = metrics => esToTable({ aggregations: { by_host: { buckets: [{ key: 'a', doc_count: 5, ...metrics }] } } })[0];
+const withoutPath = ({ by_host, doc_count, ...columns }) => columns;
+
+test('stats, extended_stats, boxplot and string_stats expand into dotted columns', () => {
+  assert.deepEqual(withoutPath(metricRow({
+    latency: { count: 5, min: 1, max: 9, avg: 4, sum: 20, avg_as_string: '4.0' },
+    ext: { avg: 4, std_deviation: 2, std_deviation_bounds: { upper: 8, lower: 0 } },
+    box: { min: 1, q2: 3, max: 9 },
+    words: { count: 5, entropy: 1.5, distribution: { a: 0.5, b: 0.5 } },
+  })), {
+    'latency.count': 5, 'latency.min': 1, 'latency.max': 9, 'latency.avg': 4, 'latency.sum': 20,
+    'ext.avg': 4, 'ext.std_deviation': 2, 'ext.std_deviation_bounds.upper': 8, 'ext.std_deviation_bounds.lower': 0,
+    'box.min': 1, 'box.q2': 3, 'box.max': 9,
+    'words.count': 5, 'words.entropy': 1.5, 'words.distribution.a': 0.5, 'words.distribution.b': 0.5,
+  });
+});
+
+test('percentiles and percentile_ranks become p-columns, keyed or not', () => {
+  assert.deepEqual(withoutPath(metricRow({
+    pct: { values: { '50.0': 3, '95.0': 8, '99.9': 9, '95.0_as_string': '8' } },
+    listed: { values: [{ key: 50, value: 3 }, { key: 99.9, value: null }] },
+    ranks: { values: { '5.0': 40 } },
+  })), { 'pct.p50': 3, 'pct.p95': 8, 'pct.p99.9': 9, 'listed.p50': 3, 'listed.p99.9': null, 'ranks.p5': 40 });
+});
+
+test('matrix_stats gives columns per field', () => {
+  assert.deepEqual(withoutPath(metricRow({
+    matrix: { doc_count: 5, fields: [{ name: 'price', count: 5, mean: 2, correlation: { price: 1, qty: 0.2 } }] },
+  })), {
+    'matrix.doc_count': 5, 'matrix.price.count': 5, 'matrix.price.mean': 2,
+    'matrix.price.correlation.price': 1, 'matrix.price.correlation.qty': 0.2,
+  });
+});
+
+test('top_hits and top_metrics give the fields of the first document', () => {
+  assert.deepEqual(withoutPath(metricRow({
+    first: { hits: { total: { value: 5 }, hits: [{ _id: 'd1', _source: { msg: 'hi', user: { id: 7 } } }, { _id: 'd2', _source: {} }] } },
+    latest: { top: [{ sort: [1], metrics: { price: 3, 'user.name': 'x' } }] },
+    none: { hits: { total: { value: 0 }, hits: [] } },
+  })), { 'first._id': 'd1', 'first.msg': 'hi', 'first.user.id': 7, 'latest.price': 3, 'latest.user.name': 'x' });
+});
+
+test('geo_bounds and geo_centroid give coordinate columns', () => {
+  assert.deepEqual(withoutPath(metricRow({
+    area: { bounds: { top_left: { lat: 10, lon: 1 }, bottom_right: { lat: 5, lon: 6 } } },
+    center: { location: { lat: 7.5, lon: 3.5 }, count: 5 },
+  })), {
+    'area.top_left.lat': 10, 'area.top_left.lon': 1, 'area.bottom_right.lat': 5, 'area.bottom_right.lon': 6,
+    'center.lat': 7.5, 'center.lon': 3.5, 'center.count': 5,
+  });
+});
+
+test('a top-level multi-value metric is a single row', () => {
+  assert.deepEqual(esToTable({ aggregations: { latency: { count: 2, min: 1, max: 3, avg: 2, sum: 4 } } }),
+    [{ 'latency.count': 2, 'latency.min': 1, 'latency.max': 3, 'latency.avg': 2, 'latency.sum': 4 }]);
+});
+
+// Single-bucket aggregations
+
+test('nested and reverse_nested aggregations carry their doc_count down to the buckets inside', () => {
+  const aggregations = {
+    comments: {
+      doc_count: 10,
+      by_author: {
+        sum_other_doc_count: 0,
+        buckets: [
+          { key: 'x', doc_count: 6, posts: { doc_count: 2, by_host: { buckets: [{ key: 'h1', doc_count: 2 }] } } },
+          { key: 'y', doc_count: 4, posts: { doc_count: 1, by_host: { buckets: [{ key: 'h2', doc_count: 1 }] } } },
+        ],
+      },
+    },
+  };
+  assert.deepEqual(esToTable({ aggregations }), [
+    { comments: 10, by_author: 'x', posts: 2, by_host: 'h1', doc_count: 2 },
+    { comments: 10, by_author: 'y', posts: 1, by_host: 'h2', doc_count: 1 },
+  ]);
+});
+
+test('a filter inside a bucket is walked through when it wraps a bucket aggregation', () => {
+  const aggregations = {
+    by_host: {
+      buckets: [
+        { key: 'a', doc_count: 5, errors: { doc_count: 2, by_code: { buckets: [{ key: 500, doc_count: 2 }] } } },
+        { key: 'b', doc_count: 1, errors: { doc_count: 0, by_code: { buckets: [] } } },
+      ],
+    },
+  };
+  assert.deepEqual(esToTable({ aggregations }), [{ by_host: 'a', errors: 2, by_code: 500, doc_count: 2 }]);
+});
+
+test('a filter without bucket aggregations inside stays a count column', () => {
+  const aggregations = { by_host: { buckets: [{ key: 'a', doc_count: 5, errors: { doc_count: 2 }, missing_user: { doc_count: 1 } }] } };
+  assert.deepEqual(esToTable({ aggregations }), [{ by_host: 'a', doc_count: 5, errors: 2, missing_user: 1 }]);
+  assert.deepEqual(esToTable({ aggregations: { errors: { doc_count: 2 } } }), [{ errors: 2 }]);
+});
+
+// Composite aggregations
+
+test('composite keys give one column per source', () => {
+  const aggregations = {
+    by_host_day: {
+      after_key: { host: 'b', day: 2 },
+      buckets: [
+        { key: { host: 'a', day: 1 }, doc_count: 3, avg_bytes: { value: 5 } },
+        { key: { host: 'b', day: null }, doc_count: 1, avg_bytes: { value: null } },
+      ],
+    },
+  };
+  assert.deepEqual(esToTable({ aggregations }), [
+    { host: 'a', day: 1, doc_count: 3, avg_bytes: 5 },
+    { host: 'b', day: null, doc_count: 1, avg_bytes: null },
+  ]);
+});
+
+// Range aggregations
+
+test('range buckets get from and to columns, with null for unbounded edges', () => {
+  const buckets = [
+    { key: '*-10.0', to: 10, doc_count: 1 },
+    { key: '10.0-*', from: 10, doc_count: 2 },
+  ];
+  assert.deepEqual(esToTable({ aggregations: { price: { buckets } } }), [
+    { price: '*-10.0', price_from: null, price_to: 10, doc_count: 1 },
+    { price: '10.0-*', price_from: 10, price_to: null, doc_count: 2 },
+  ]);
+});
+
+test('keyed range buckets are ranges, not filters', () => {
+  const buckets = { cheap: { to: 10, doc_count: 1 }, pricey: { from: 10, doc_count: 2 } };
+  assert.deepEqual(esToTable({ aggregations: { price: { buckets } } }), [
+    { price: 'cheap', price_from: null, price_to: 10, doc_count: 1 },
+    { price: 'pricey', price_from: 10, price_to: null, doc_count: 2 },
+  ]);
+  assert.deepEqual(esToTable({ aggregations: { kinds: { buckets: { errors: { doc_count: 3 } } } } }), [{ kinds: 'errors', doc_count: 3 }]);
+});
+
+test('date_range and ip_range buckets keep their string bounds', () => {
+  const dates = {
+    buckets: [
+      { key: 'old', to: 1704067200000, to_as_string: '2024-01-01', doc_count: 4 },
+      { key: 'new', from: 1704067200000, from_as_string: '2024-01-01', doc_count: 2 },
+    ],
+  };
+  assert.deepEqual(esToTable({ aggregations: { when: dates } }), [
+    { when: 'old', when_from: null, when_to: 1704067200000, when_from_as_string: null, when_to_as_string: '2024-01-01', doc_count: 4 },
+    { when: 'new', when_from: 1704067200000, when_to: null, when_from_as_string: '2024-01-01', when_to_as_string: null, doc_count: 2 },
+  ]);
+
+  const ips = { buckets: [{ key: '10.0.0.0/8', from: '10.0.0.0', to: '11.0.0.0', doc_count: 5 }] };
+  assert.deepEqual(esToTable({ aggregations: { net: ips } }), [
+    { net: '10.0.0.0/8', net_from: '10.0.0.0', net_to: '11.0.0.0', doc_count: 5 },
+  ]);
+});
+
+// Sibling bucket aggregations
+
+const siblingAggregations = {
+  by_country: { buckets: [{ key: 'de', doc_count: 3 }, { key: 'fr', doc_count: 1 }] },
+  by_device: { buckets: [{ key: 'pc', doc_count: 4 }] },
+};
+
+test('only the first top-level aggregation is converted unless another is named', () => {
+  assert.deepEqual(esToTable({ aggregations: siblingAggregations }), [
+    { by_country: 'de', doc_count: 3 },
+    { by_country: 'fr', doc_count: 1 },
+  ]);
+  assert.deepEqual(esToTable({ aggregations: siblingAggregations }, { aggregationName: 'by_device' }), [{ by_device: 'pc', doc_count: 4 }]);
+});
+
+test('allAggregations joins the top-level aggregations by the siblings mode', () => {
+  const convert = siblings => esToTable({ aggregations: siblingAggregations }, { allAggregations: true, siblings });
+  assert.deepEqual(convert('separate'), [
+    { by_country: 'de', doc_count: 3 },
+    { by_country: 'fr', doc_count: 1 },
+    { by_device: 'pc', doc_count: 4 },
+  ]);
+  assert.deepEqual(convert('cross'), [
+    { by_country: 'de', 'by_country.doc_count': 3, by_device: 'pc', 'by_device.doc_count': 4 },
+    { by_country: 'fr', 'by_country.doc_count': 1, by_device: 'pc', 'by_device.doc_count': 4 },
+  ]);
+  assert.deepEqual(convert('stack'), [
+    { by_country: 'de', doc_count: 3, by_device: null },
+    { by_country: 'fr', doc_count: 1, by_device: null },
+    { by_country: null, doc_count: 4, by_device: 'pc' },
+  ]);
+  assert.throws(() => convert('zip'), /Unknown siblings mode "zip"/);
+});
+
+test('sibling bucket aggregations inside a bucket are joined the same way', () => {
+  const aggregations = { by_host: { buckets: [{ key: 'a', doc_count: 4, ...siblingAggregations }] } };
+  assert.deepEqual(esToTable({ aggregations }), [
+    { by_host: 'a', by_country: 'de', doc_count: 3 },
+    { by_host: 'a', by_country: 'fr', doc_count: 1 },
+    { by_host: 'a', by_device: 'pc', doc_count: 4 },
+  ]);
+  assert.deepEqual(esToTable({ aggregations }, { siblings: 'cross' }).map(row => [row.by_country, row.by_device]), [['de', 'pc'], ['fr', 'pc']]);
+  assert.deepEqual(Object.keys(esToTable({ aggregations }, { siblings: 'stack' })[2]), ['by_host', 'by_country', 'doc_count', 'by_device']);
+});
+
+test('esToTables gives one table per top-level aggregation', () => {
+  assert.deepEqual(esToTables({ aggregations: siblingAggregations }), {
+    by_country: [{ by_country: 'de', doc_count: 3 }, { by_country: 'fr', doc_count: 1 }],
+    by_device: [{ by_device: 'pc', doc_count: 4 }],
+  });
+  assert.deepEqual(esToTables({ hits: { hits: [{ _id: '1', _source: { a: 1 } }] } }), { hits: [{ _id: '1', a: 1 }] });
+});
+
+// Raw hits
+
+const hits = {
+  hits: {
+    hits: [
+      {
+        _index: 'logs', _id: '1', _score: 1.5, sort: [3],
+        _source: { msg: 'hi', user: { geo: { city: 'Berlin' }, name: 'x' }, tags: ['a', 'b'] },
+        highlight: { msg: ['<em>hi</em>', 'again'] },
+        fields: { 'user.name': ['x'] },
+      },
+      { _index: 'logs', _id: '2', _score: 1, _source: { msg: 'yo', tags: [] } },
+    ],
+  },
+};
+
+test('hits keep nested objects as JSON unless flattened into dotted columns', () => {
+  assert.deepEqual(esToTable(hits), [
+    { _id: '1', msg: 'hi', user: '{"geo":{"city":"Berlin"},"name":"x"}', tags: '["a","b"]' },
+    { _id: '2', msg: 'yo', user: '', tags: '[]' },
+  ]);
+  assert.deepEqual(esToTable(hits, { flatten: true }), [
+    { _id: '1', msg: 'hi', 'user.geo.city': 'Berlin', 'user.name': 'x', tags: '["a","b"]' },
+    { _id: '2', msg: 'yo', 'user.geo.city': '', 'user.name': '', tags: '[]' },
+  ]);
+});
+
+test('an exploded array gives one row per element, and keeps hits without elements', () => {
+  assert.deepEqual(esToTable(hits, { explode: 'tags' }).map(row => [row._id, row.tags]), [['1', 'a'], ['1', 'b'], ['2', '']]);
+
+  const orders = { hits: { hits: [{ _id: 'o1', _source: { order: { lines: [{ sku: 'A', qty: 1 }, { sku: 'B', qty: 2 }] } } }] } };
+  assert.deepEqual(esToTable(orders, { explode: 'order.lines', flatten: true }), [
+    { _id: 'o1', 'order.lines.sku': 'A', 'order.lines.qty': 1 },
+    { _id: 'o1', 'order.lines.sku': 'B', 'order.lines.qty': 2 },
+  ]);
+});
+
+test('hit metadata columns come after _id, all of them or the ones listed', () => {
+  const [first, second] = esToTable(hits, { hitMetadata: true });
+  assert.deepEqual(first, {
+    _id: '1', _index: 'logs', _score: 1.5, _sort: '[3]', 'fields.user.name': 'x', 'highlight.msg': '<em>hi</em> ... again',
+    msg: 'hi', user: '{"geo":{"city":"Berlin"},"name":"x"}', tags: '["a","b"]',
+  });
+  assert.equal(second._sort, null);
+  assert.deepEqual(Object.keys(esToTable(hits, { hitMetadata: ['_index'] })[0]), ['_id', '_index', 'msg', 'user', 'tags']);
+  assert.throws(() => esToTable(hits, { hitMetadata: ['_routing'] }), /Unknown hit metadata "_routing"/);
+
+  const nested = { hits: { hits: [{ _id: '1', _source: {}, inner_hits: { comments: { hits: { hits: [{ _source: { by: 'y' } }] } } } }] } };
+  assert.deepEqual(esToTable(nested, { hitMetadata: ['inner_hits'] }), [{ _id: '1', 'inner_hits.comments': '[{"by":"y"}]' }]);
+});
+
+test('a mapping orders the source columns, unmapped columns last', () => {
+  const mapping = { logs: { mappings: { properties: { user: { properties: { name: { type: 'keyword' }, geo: { properties: { city: { type: 'keyword' } } } } }, msg: { type: 'text' } } } } };
+  assert.deepEqual(Object.keys(esToTable(hits, { flatten: true, mapping })[0]), ['_id', 'user.name', 'user.geo.city', 'msg', 'tags']);
+  assert.deepEqual(Object.keys(esToTable(hits, { mapping })[0]), ['_id', 'user', 'msg', 'tags']);
+});
+
+// Output schema
+
+const sparse = [
+  { host: 'a', doc_count: 3, latency: 10 },
+  { host: '_other_', doc_count: 1 },
+  { host: 'b', doc_count: 2, latency: 20, errors: 1 },
+];
+
+test('the schema is the union of all columns in first-seen order', () => {
+  assert.deepEqual(applySchema(sparse), {
+    columns: ['host', 'doc_count', 'latency', 'errors'],
+    rows: [
+      { host: 'a', doc_count: 3, latency: 10, errors: null },
+      { host: '_other_', doc_count: 1, latency: null, errors: null },
+      { host: 'b', doc_count: 2, latency: 20, errors: 1 },
+    ],
+  });
+  assert.deepEqual(applySchema(sparse, { fillValue: 0 }).rows[1], { host: '_other_', doc_count: 1, latency: 0, errors: 0 });
+});
+
+test('columns can be picked, reordered, excluded and renamed', () => {
+  assert.deepEqual(applySchema(sparse, { columns: ['errors', 'host', 'region'] }).rows[2], { errors: 1, host: 'b', region: null });
+  assert.deepEqual(applySchema(sparse, { columnOrder: ['latency', 'nope'] }).columns, ['latency', 'host', 'doc_count', 'errors']);
+  assert.deepEqual(applySchema(sparse, { exclude: ['doc_count'], rename: { host: 'server' } }).columns, ['server', 'latency', 'errors']);
+  assert.throws(() => applySchema(sparse, { rename: { host: 'latency' } }), /Duplicate output column "latency"/);
+});
+
+test('CSV headers include columns that first appear in later rows', () => {
+  assert.equal(tableToCSV(sparse), 'host,doc_count,latency,errors\na,3,10,\n_other_,1,,\nb,2,20,1\n');
+  assert.equal(tableToCSV([{ a: 1, b: 'x,y' }, { a: 2, c: 'q"r' }]), 'a,b,c\n1,"x,y",\n2,,"q""r"\n');
+  assert.equal(tableToCSV(sparse, { columns: ['host', 'errors'], rename: { errors: 'failures' }, fillValue: 0, delimiter: ';' }),
+    'host;failures\na;0\n_other_;0\nb;1\n');
+  assert.equal(tableToCSV(sparse, { columns: ['host'], includeHeaders: false }), 'a\n_other_\nb\n');
+  assert.equal(tableToCSV([]), '');
+});
+
+// Output formats
+
+test('NDJSON has one object per row with the union schema', () => {
+  assert.equal(tableToNDJSON(sparse, { exclude: ['errors'] }),
+    '{"host":"a","doc_count":3,"latency":10}\n{"host":"_other_","doc_count":1,"latency":null}\n{"host":"b","doc_count":2,"latency":20}\n');
+  assert.equal(tableToNDJSON([]), '');
+});
+
+test('Markdown cells escape pipes and line breaks', () => {
+  assert.equal(tableToMarkdown([{ 'a|b': 'x|y', note: 'one\ntwo\r\nthree' }, { 'a|b': null }]),
+    '| a\\|b | note |\n| --- | --- |\n| x\\|y | one<br>two<br>three |\n|  |  |\n');
+});
+
+test('HTML escapes the title, headers and cells', () => {
+  const html = tableToHTML([{ '<col>': '"a" & <b>' }], { title: 'Q&A' });
+  assert.match(html, /<title>Q&amp;A<\/title>/);
+  assert.match(html, /<th>&lt;col&gt;<\/th>/);
+  assert.match(html, /<td>&quot;a&quot; &amp; &lt;b&gt;<\/td>/);
+  assert.doesNotMatch(html, /<b>/);
+});
+
+test('XLSX has one sheet per table, with valid and unique sheet names', async () => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await tablesToXLSX({
+    'by_host/day': sparse,
+    'BY_HOST?DAY': [{ a: 1 }],
+    'a_very_long_aggregation_name_that_does_not_fit': [{ b: 2 }],
+    'a_very_long_aggregation_name_that_does_not_fit_either': [{ c: 3 }],
+    '': [{ d: 4 }],
+  }));
+  assert.deepEqual(workbook.worksheets.map(sheet => sheet.name), [
+    'by_host_day', 'BY_HOST_DAY_2', 'a_very_long_aggregation_name_th', 'a_very_long_aggregation_name__2', 'Sheet',
+  ]);
+
+  const sheet = workbook.worksheets[0];
+  assert.deepEqual(sheet.getRow(1).values.slice(1), ['host', 'doc_count', 'latency', 'errors']);
+  assert.deepEqual(sheet.getRow(4).values.slice(1), ['b', 2, 20, 1]);
+
+  const single = new ExcelJS.Workbook();
+  await single.xlsx.load(await tablesToXLSX([{ a: 1 }], { sheetName: 'results' }));
+  assert.equal(single.worksheets[0].name, 'results');
+});
+
+// Tabular responses
+
+test('SQL and ES|QL responses keep their columns', () => {
+  const columns = [{ name: 'host', type: 'keyword' }, { name: 'n', type: 'long' }];
+  assert.deepEqual(esToTable({ columns, rows: [['a', 1], ['b', null]] }), [{ host: 'a', n: 1 }, { host: 'b', n: null }]);
+  assert.deepEqual(esToTable({ columns, values: [['a', 1]] }), [{ host: 'a', n: 1 }]);
+  assert.deepEqual(esToTable({ columns, values: [] }), []);
+  assert.deepEqual(esToTables({ columns, values: [['a', 1]] }), { results: [{ host: 'a', n: 1 }] });
+});
+
+// Multi-search responses
+
+const multiSearch = {
+  took: 3,
+  responses: [
+    { label: 'jan', index: 'logs-01', aggregations: { by_host: { buckets: [{ key: 'a', doc_count: 1 }] } } },
+    { label: 'jan', index: 'logs-01b', aggregations: { by_host: { buckets: [{ key: 'b', doc_count: 2 }] } } },
+    { index: 'logs-02', status: 404, error: { type: 'index_not_found_exception', reason: 'no such index [logs-02]' } },
+    { index: 'logs-03', hits: { hits: [] } },
+  ],
+};
+
+test('a multi-search is one table with a label column, or one table per search', () => {
+  assert.deepEqual(esToTable(multiSearch), [
+    { label: 'jan', by_host: 'a', doc_count: 1 },
+    { label: 'jan_2', by_host: 'b', doc_count: 2 },
+  ]);
+  assert.deepEqual(esToTable(multiSearch, { labelColumn: 'month' })[0], { month: 'jan', by_host: 'a', doc_count: 1 });
+  assert.deepEqual(esToTables(multiSearch), {
+    jan: [{ by_host: 'a', doc_count: 1 }],
+    jan_2: [{ by_host: 'b', doc_count: 2 }],
+    'logs-03': [],
+  });
+});
+
+test('failed searches of a multi-search are reported per entry', () => {
+  assert.deepEqual(getMultiSearchErrors(multiSearch), [{ label: 'logs-02', status: 404, error: 'no such index [logs-02]' }]);
+  assert.deepEqual(getMultiSearchErrors({ aggregations: {} }), []);
+});
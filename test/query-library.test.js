@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { QueryLibraries } from '../lib/query-library.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'es2tabular-library-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let dirCount = 0;
+function createLibraries({ team = true } = {}) {
+  const root = path.join(dir, String(++dirCount));
+  fs.mkdirSync(root);
+  return new QueryLibraries({
+    userFile: username => path.join(root, `${username || 'shared'}.saved-queries.json`),
+    teamFile: team ? path.join(root, '.team-queries.json') : null,
+  });
+}
+const query = { name: 'Errors', index: 'logs', query: { size: 0 } };
+
+test('a user library is only visible to its user', () => {
+  const libraries = createLibraries();
+  const saved = libraries.get('user', 'alice').create(query, 'alice');
+
+  assert.equal(libraries.get('user', 'alice').get(saved.id).name, 'Errors');
+  assert.equal(libraries.get('user', 'bob').get(saved.id), undefined);
+  assert.deepEqual(libraries.get('user', 'bob').list(), []);
+  assert.equal(libraries.find({ scope: 'user', id: saved.id }, 'bob'), undefined);
+  assert.equal(libraries.get('user', 'bob').update(saved.id, { name: 'Mine now' }, 'bob'), undefined);
+  assert.equal(libraries.get('user', 'bob').remove(saved.id), false);
+  assert.equal(libraries.find({ scope: 'user', id: saved.id }, 'alice').name, 'Errors');
+});
+
+test('the team library is shared and records who changed a query', () => {
+  const libraries = createLibraries();
+  const saved = libraries.get('team', 'alice').create(query, 'alice');
+  const updated = libraries.get('team', 'bob').update(saved.id, { description: 'HTTP 5xx' }, 'bob');
+
+  assert.equal(updated.createdBy, 'alice');
+  assert.equal(updated.updatedBy, 'bob');
+  assert.equal(libraries.find({ scope: 'team', id: saved.id }, 'carol').description, 'HTTP 5xx');
+  assert.equal(libraries.find({ scope: 'user', id: saved.id }, 'alice'), undefined);
+});
+
+test('unknown and disabled scopes have no library', () => {
+  const libraries = createLibraries({ team: false });
+  assert.deepEqual(libraries.scopes(), ['user']);
+  assert.equal(libraries.get('team', 'alice'), null);
+  assert.equal(libraries.get('admin', 'alice'), null);
+  assert.equal(libraries.find({ scope: 'team', id: 'x' }, 'alice'), undefined);
+  assert.equal(libraries.find(undefined, 'alice'), undefined);
+  assert.deepEqual(createLibraries().scopes(), ['user', 'team']);
+});
+
+test('saved queries keep only their fields and can be listed by tag', () => {
+  const library = createLibraries().get('user', 'alice');
+  const saved = library.create({ ...query, tags: ['http'], id: 'chosen', createdBy: 'mallory', extra: 1 }, 'alice');
+  library.create({ ...query, name: 'All' }, 'alice');
+
+  assert.notEqual(saved.id, 'chosen');
+  assert.equal(saved.createdBy, 'alice');
+  assert.equal(saved.extra, undefined);
+  assert.deepEqual(library.list().map(q => q.name), ['All', 'Errors']);
+  assert.deepEqual(library.list({ tag: 'http' }).map(q => q.name), ['Errors']);
+});
+
+test('completeRun only adds details to the run that stored the file', () => {
+  const library = createLibraries().get('user', 'alice');
+  const { id } = library.create(query, 'alice');
+  library.recordRun(id, { at: '2026-10-19T07:00:00.000Z', by: 'alice', filename: 'new.json' });
+
+  library.completeRun(id, 'old.json', { rows: 1 });
+  assert.equal(library.get(id).lastRun.rows, undefined);
+  library.completeRun(id, 'new.json', { rows: 2 });
+  assert.equal(library.get(id).lastRun.rows, 2);
+});
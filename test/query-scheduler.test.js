@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { QueryScheduler, cronError } from '../lib/query-scheduler.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'es2tabular-scheduler-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let fileCount = 0;
+function createScheduler(run, options = {}) {
+  return new QueryScheduler({ file: path.join(dir, `schedules${++fileCount}.json`), run, enabled: false, ...options });
+}
+const savedQuery = { scope: 'user', id: 'q1' };
+
+test('execute logs successful and failed runs, newest first', async () => {
+  let fail = false;
+  const scheduler = createScheduler(async () => {
+    if (fail) {
+      throw new Error('Search failed\n{"error": "details"}');
+    }
+    return { rows: 3 };
+  }, { logSize: 2 });
+  const { id } = scheduler.create({ name: 'Daily', savedQuery, cron: '0 7 * * *' }, 'alice');
+
+  assert.equal((await scheduler.execute(id)).status, 'success');
+  fail = true;
+  const entry = await scheduler.execute(id);
+  assert.equal(entry.status, 'failed');
+  assert.equal(entry.error, 'Search failed');
+  assert.equal((await scheduler.execute(id)).status, 'failed');
+
+  const { lastRun, runs } = scheduler.get(id, 'alice');
+  assert.deepEqual(lastRun, runs[0]);
+  assert.deepEqual(runs.map(r => r.status), ['failed', 'failed']);
+});
+
+test('execute skips a run while the previous one is going', async () => {
+  let finish;
+  const scheduler = createScheduler(() => new Promise(resolve => { finish = resolve; }));
+  const { id } = scheduler.create({ name: 'Slow', savedQuery, cron: '0 7 * * *' }, 'alice');
+  const first = scheduler.execute(id);
+  assert.equal((await scheduler.execute(id)).status, 'skipped');
+  finish({ rows: 1 });
+  assert.equal((await first).status, 'success');
+});
+
+test('execute does not reject when the schedules file is unreadable', async t => {
+  const consoleError = t.mock.method(console, 'error', () => {});
+  const scheduler = createScheduler(async () => ({ rows: 1 }));
+  const { id } = scheduler.create({ name: 'Daily', savedQuery, cron: '0 7 * * *' }, 'alice');
+  fs.writeFileSync(scheduler.file, '{ not json');
+  const entry = await scheduler.execute(id);
+  assert.equal(entry.status, 'failed');
+  assert.equal(consoleError.mock.callCount(), 1);
+});
+
+test('execute returns the entry when the run log can not be written', async t => {
+  const consoleError = t.mock.method(console, 'error', () => {});
+  const scheduler = createScheduler(async () => {
+    fs.writeFileSync(scheduler.file, '{ not json');
+    return { rows: 1 };
+  });
+  const { id } = scheduler.create({ name: 'Daily', savedQuery, cron: '0 7 * * *' }, 'alice');
+  assert.equal((await scheduler.execute(id)).status, 'success');
+  assert.equal(consoleError.mock.callCount(), 1);
+});
+
+test('schedules belong to their user', async () => {
+  const scheduler = createScheduler(async () => ({ rows: 1 }));
+  const { id } = scheduler.create({ name: 'Daily', savedQuery, cron: '0 7 * * *', owner: 'x' }, 'alice');
+  assert.equal(scheduler.get(id, 'bob'), undefined);
+  assert.deepEqual(scheduler.list('bob'), []);
+  assert.equal(await scheduler.runNow(id, 'bob'), undefined);
+  assert.equal(scheduler.remove(id, 'bob'), false);
+  assert.equal(scheduler.list('alice')[0].owner, undefined);
+  assert.equal(scheduler.remove(id, 'alice'), true);
+});
+
+test('armed schedules get a next run; paused ones do not', () => {
+  const scheduler = createScheduler(async () => ({ rows: 1 }), { enabled: true });
+  try {
+    const armed = scheduler.create({ name: 'Daily', savedQuery, cron: '0 7 * * *', timezone: 'Europe/Berlin' }, 'alice');
+    const paused = scheduler.create({ name: 'Paused', savedQuery, cron: '0 7 * * *', paused: true }, 'alice');
+    assert.ok(armed.nextRun);
+    assert.equal(paused.nextRun, null);
+    assert.ok(scheduler.update(paused.id, 'alice', { paused: false }).nextRun);
+  } finally {
+    scheduler.stop();
+  }
+});
+
+test('cronError explains invalid expressions and time zones', () => {
+  assert.equal(cronError('*/5 * * * *'), null);
+  assert.equal(cronError(''), 'A cron expression is required');
+  assert.match(cronError('61 * * * *'), /^Invalid cron expression "61 \* \* \* \*"/);
+  assert.match(cronError('0 7 * * *', 'Nowhere/City'), /^Invalid cron expression/);
+});
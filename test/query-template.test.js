@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findTemplateParams, renderTemplate, renderQueryRequest, resolveParamDates, resolveDate,
+} from '../lib/query-template.js';
+
+// A Wednesday afternoon (UTC)
+const now = new Date('2026-10-21T15:30:45.123Z');
+
+test('findTemplateParams lists placeholders once, with defaults and date names', () => {
+  const query = { range: { '@timestamp': { gte: '{{from|now-7d/d}}', lt: '{{ start_of_today }}' } }, size: '{{size}}', q: 'x {{size}}' };
+  assert.deepEqual(findTemplateParams(query), [
+    { name: 'from', default: 'now-7d/d', date: false },
+    { name: 'start_of_today', default: undefined, date: true },
+    { name: 'size', default: undefined, date: false },
+  ]);
+});
+
+test('renderTemplate keeps the JSON type of whole-string placeholders', () => {
+  const query = { size: '{{size|10}}', terms: { host: '{{hosts}}' }, match: { message: 'error on {{host}}' }, '{{field}}': 1 };
+  assert.deepEqual(renderTemplate(query, { hosts: ['a', 'b'], host: 'a', field: 'status' }, { now }), {
+    size: 10,
+    terms: { host: ['a', 'b'] },
+    match: { message: 'error on a' },
+    status: 1,
+  });
+});
+
+test('renderTemplate resolves relative dates in params, defaults and names', () => {
+  const query = { gte: '{{from|now-7d/d}}', lt: '{{start_of_today}}', to: '{{to}}' };
+  assert.deepEqual(renderTemplate(query, { to: 'end_of_yesterday' }, { now }), {
+    gte: '2026-10-14T00:00:00.000Z',
+    lt: '2026-10-21T00:00:00.000Z',
+    to: '2026-10-20T23:59:59.999Z',
+  });
+});
+
+test('renderTemplate replaces text in query strings', () => {
+  const esql = 'FROM logs | WHERE host == "{{host}}" AND @timestamp >= "{{from|now-1h}}" | LIMIT {{limit|10}}';
+  assert.equal(renderTemplate(esql, { host: 'a' }, { now }),
+    'FROM logs | WHERE host == "a" AND @timestamp >= "2026-10-21T14:30:45.123Z" | LIMIT 10');
+});
+
+test('renderTemplate reports missing params and invalid dates', () => {
+  assert.throws(() => renderTemplate({ a: '{{a}}', b: '{{b}}', c: '{{c|1}}' }, { b: 1 }), /^Error: Missing template params: a$/);
+  assert.throws(() => resolveDate('now-7x'), /Invalid date expression "now-7x"/);
+});
+
+test('resolveDate rounds like Elasticsearch date math', () => {
+  assert.equal(resolveDate('now', now), '2026-10-21T15:30:45.123Z');
+  assert.equal(resolveDate('now-1d+2h/h', now), '2026-10-20T17:00:00.000Z');
+  assert.equal(resolveDate('start_of_this_week', now), '2026-10-19T00:00:00.000Z');
+  assert.equal(resolveDate('start_of_last_month', now), '2026-09-01T00:00:00.000Z');
+  assert.equal(resolveDate('end_of_last_quarter', now), '2026-09-30T23:59:59.999Z');
+  assert.equal(resolveDate('start_of_last_year', now), '2025-01-01T00:00:00.000Z');
+  assert.equal(resolveDate('now-1M', new Date('2026-03-31T00:00:00Z')), '2026-02-28T00:00:00.000Z');
+});
+
+test('renderQueryRequest renders a query or every search of a multi-search', () => {
+  assert.deepEqual(renderQueryRequest({ query: { size: '{{size}}' }, params: { size: 5 } }, { now }),
+    { renderedQuery: { size: 5 } });
+  assert.deepEqual(renderQueryRequest({ query: { size: 1 } }), { renderedQuery: { size: 1 } });
+  assert.deepEqual(renderQueryRequest({}), { renderedQuery: undefined });
+
+  const searches = [
+    { index: 'logs', query: { range: { t: { gte: '{{from}}' } } } },
+    { index: 'metrics', query: { size: 0 } },
+  ];
+  assert.deepEqual(renderQueryRequest({ searches, params: { from: 'start_of_yesterday' } }, { now }), {
+    renderedSearches: [
+      { index: 'logs', query: { range: { t: { gte: '2026-10-20T00:00:00.000Z' } } } },
+      { index: 'metrics', query: { size: 0 } },
+    ],
+  });
+  assert.throws(() => renderQueryRequest({ searches, params: {} }), /Missing template params: from/);
+});
+
+test('resolveParamDates resolves only date expressions', () => {
+  assert.deepEqual(resolveParamDates({ from: 'now-1d/d', host: 'a', size: 10 }, { now }),
+    { from: '2026-10-20T00:00:00.000Z', host: 'a', size: 10 });
+});
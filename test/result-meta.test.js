@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SearchClient } from '../lib/search-client.js';
+import { renderQueryRequest } from '../lib/query-template.js';
+import {
+  getMetaPath, writeResultMeta, readResultMeta, renameResultMeta, queryResultMeta, summarizeResponse, rerunSource
+} from '../lib/result-meta.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'es2tabular-meta-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Client that records its requests and answers every search with no hits
+ */
+class RecordingClient extends SearchClient {
+  constructor() {
+    super({ maxRetries: 0 });
+    this.requests = [];
+  }
+
+  async sendRequest(method, url, body) {
+    this.requests.push({ method, path: url, body });
+    return { took: 1, hits: { total: { value: 0, relation: 'eq' }, hits: [] } };
+  }
+}
+
+test('sidecars are hidden files next to the result, and missing ones read as empty', () => {
+  writeResultMeta(dir, 'query_1.json', { cluster: 'prod' });
+  assert.equal(getMetaPath(dir, 'query_1.json'), path.join(dir, '.query_1.json.meta.json'));
+  assert.deepEqual(readResultMeta(dir, 'query_1.json'), { cluster: 'prod' });
+  assert.deepEqual(readResultMeta(dir, 'missing.json'), {});
+});
+
+test('query sidecars record the request and a summary of the response', () => {
+  const response = {
+    took: 12,
+    timed_out: false,
+    _shards: { total: 3, successful: 2, skipped: 0, failed: 1, failures: [{ shard: 2, index: 'logs', reason: { type: 'timeout' } }] },
+    hits: { total: { value: 5 }, hits: [] },
+  };
+  const meta = queryResultMeta({
+    username: 'ana', cluster: 'prod', savedQuery: 'q1', rerunOf: 'query_0.json',
+    request: { index: 'logs', language: 'dsl', query: { size: 0 } },
+    response: summarizeResponse(response),
+  });
+  assert.ok(!Number.isNaN(Date.parse(meta.createdAt)));
+  delete meta.createdAt;
+  assert.deepEqual(meta, {
+    cluster: 'prod',
+    savedQuery: 'q1',
+    user: 'ana',
+    rerunOf: 'query_0.json',
+    request: { index: 'logs', language: 'dsl', query: { size: 0 } },
+    response: {
+      took: 12,
+      timedOut: false,
+      shards: { total: 3, successful: 2, skipped: 0, failed: 1 },
+      shardFailures: [{ shard: 2, index: 'logs', reason: { type: 'timeout' } }],
+    },
+  });
+  assert.equal(queryResultMeta({ cluster: 'prod', request: {}, response: {} }).user, null);
+});
+
+test('multi-search summaries add up the shards of the searches that ran', () => {
+  const searches = [{ index: 'a' }, { index: 'b' }, { index: 'c' }];
+  const response = {
+    took: 7,
+    responses: [
+      { label: 'a', timed_out: true, _shards: { total: 2, successful: 2, skipped: 1, failed: 0 } },
+      { label: 'b', _shards: { total: 1, successful: 0, skipped: 0, failed: 1, failures: [{ shard: 0 }] } },
+      { label: 'c', error: { reason: 'no such index' } },
+    ],
+  };
+  assert.deepEqual(summarizeResponse(response, searches), {
+    took: 7,
+    timedOut: true,
+    shards: { total: 3, successful: 2, skipped: 1, failed: 1 },
+    shardFailures: [{ label: 'b', shard: 0 }],
+  });
+  assert.equal(summarizeResponse({ took: 1, columns: [], values: [] }).shards, null);
+});
+
+test('a re-run sends the query as requested, with its placeholders filled in again', async () => {
+  const request = { index: 'logs', language: 'dsl', query: { size: '{{size}}', query: { range: { t: { gte: '{{from|now-1d}}' } } } }, params: { size: 5 } };
+  writeResultMeta(dir, 'logs_1.json', queryResultMeta({
+    username: 'ana', cluster: 'prod', savedQuery: 'q1',
+    request: { ...request, renderedQuery: { size: 5, query: { range: { t: { gte: '2020-01-01T00:00:00.000Z' } } } } },
+    response: {},
+  }));
+  writeResultMeta(dir, 'logs_1.csv', { cluster: 'prod', sourceFile: 'logs_1.json', convertOptions: { format: 'csv', flatten: true } });
+  writeResultMeta(dir, 'upload.json', {});
+
+  assert.deepEqual(rerunSource(dir, 'logs_1.json'), { request, cluster: 'prod', savedQuery: 'q1', rerunOf: 'logs_1.json' });
+  assert.deepEqual(rerunSource(dir, 'logs_1.csv'), {
+    request, cluster: 'prod', savedQuery: 'q1', rerunOf: 'logs_1.json', convertOptions: { format: 'csv', flatten: true },
+  });
+  assert.equal(rerunSource(dir, 'upload.json'), null);
+  assert.equal(rerunSource(dir, 'missing.json'), null);
+
+  const { request: rerun } = rerunSource(dir, 'logs_1.csv');
+  const { renderedQuery } = renderQueryRequest(rerun);
+  const client = new RecordingClient();
+  await client.search(rerun.index, renderedQuery);
+  const [sent] = client.requests;
+  assert.equal(sent.path, '/logs/_search');
+  assert.equal(sent.body.size, 5);
+  assert.ok(Date.parse(sent.body.query.range.t.gte) > Date.parse('2020-01-01T00:00:00.000Z'));
+});
+
+test('renaming a result moves its sidecar and relinks the files made from it', () => {
+  const sub = fs.mkdtempSync(path.join(dir, 'rename-'));
+  writeResultMeta(sub, 'old.json', { cluster: 'prod', request: {} });
+  writeResultMeta(sub, 'old.csv', { sourceFile: 'old.json' });
+  writeResultMeta(sub, 'again.json', { rerunOf: 'old.json', request: {} });
+  writeResultMeta(sub, 'other.csv', { sourceFile: 'other.json' });
+
+  renameResultMeta(sub, 'old.json', 'new.json');
+  assert.equal(fs.existsSync(getMetaPath(sub, 'old.json')), false);
+  assert.deepEqual(readResultMeta(sub, 'new.json'), { cluster: 'prod', request: {} });
+  assert.equal(readResultMeta(sub, 'old.csv').sourceFile, 'new.json');
+  assert.equal(readResultMeta(sub, 'again.json').rerunOf, 'new.json');
+  assert.equal(readResultMeta(sub, 'other.csv').sourceFile, 'other.json');
+});
@@ -0,0 +1,390 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SearchClient } from '../lib/search-client.js';
+import { KibanaClient } from '../lib/kibana-client.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'es2tabular-search-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+/**
+ * Client whose requests fail with the given errors first, then succeed
+ */
+class FlakyClient extends SearchClient {
+  constructor(errors) {
+    super({ maxRetries: 2, retryBackoffMs: 0 });
+    this.errors = [...errors];
+    this.calls = 0;
+  }
+
+  async sendRequest() {
+    this.calls++;
+    const error = this.errors.shift();
+    if (error) {
+      throw error;
+    }
+    return { ok: true };
+  }
+}
+
+const status = code => Object.assign(new Error(`HTTP ${code}`), { status: code });
+const connection = code => Object.assign(new Error(code), { code });
+
+test('reads are retried on gateway errors and connection resets', async () => {
+  for (const [method, path, body] of [
+    ['POST', '/logs/_search', {}],
+    ['POST', '/_msearch', '{}\n{}\n'],
+    ['POST', '/_query', { query: 'FROM logs' }],
+    ['POST', '/_sql?format=json', { query: 'SELECT 1' }],
+    ['GET', '/_async_search/abc'],
+  ]) {
+    const client = new FlakyClient([status(502), connection('ECONNRESET')]);
+    assert.deepEqual(await client.request(method, path, body), { ok: true });
+    assert.equal(client.calls, 3, `${method} ${path}`);
+  }
+});
+
+test('submits are not retried once Elasticsearch may have run them', async () => {
+  for (const [method, path, body] of [
+    ['POST', '/logs/_async_search?wait_for_completion_timeout=1s', {}],
+    ['POST', '/logs/_pit?keep_alive=1m'],
+    ['POST', '/logs/_search?scroll=1m', {}],
+    ['POST', '/_search/scroll', { scroll_id: 'x' }],
+    ['POST', '/_sql?format=json', { cursor: 'x' }],
+  ]) {
+    for (const error of [status(502), status(504), connection('ECONNRESET')]) {
+      const client = new FlakyClient([error]);
+      await assert.rejects(client.request(method, path, body), error);
+      assert.equal(client.calls, 1, `${method} ${path} after ${error.message}`);
+    }
+  }
+});
+
+test('submits are retried when Elasticsearch never got them', async () => {
+  for (const error of [status(429), connection('ECONNREFUSED'), connection('ENOTFOUND')]) {
+    const client = new FlakyClient([error]);
+    assert.deepEqual(await client.request('POST', '/logs/_async_search', {}), { ok: true });
+    assert.equal(client.calls, 2);
+  }
+});
+
+test('retries stop after maxRetries', async () => {
+  const client = new FlakyClient([status(503), status(503), status(503)]);
+  await assert.rejects(client.request('POST', '/logs/_search', {}), /HTTP 503/);
+  assert.equal(client.calls, 3);
+});
+
+/**
+ * Client that answers composite searches with a page of buckets per `after` value
+ */
+class CompositeClient extends SearchClient {
+  constructor(pages, config = {}) {
+    super({ maxRetries: 0, ...config });
+    this.pages = pages;
+    this.requests = [];
+  }
+
+  async sendRequest(method, url, body) {
+    this.requests.push(body);
+    const after = body.aggs?.by_host.composite.after?.host ?? null;
+    const { buckets, after_key } = this.pages[after];
+    return { took: 1, aggregations: { by_host: { after_key, buckets: [...buckets] } } };
+  }
+}
+
+const compositeQuery = { query: { match_all: {} }, aggs: { by_host: { composite: { size: 2, sources: [{ host: { terms: { field: 'host' } } }] } } } };
+const compositePages = {
+  null: { buckets: [{ key: { host: 'a' }, doc_count: 1 }, { key: { host: 'b' }, doc_count: 2 }], after_key: { host: 'b' } },
+  b: { buckets: [{ key: { host: 'c' }, doc_count: 3 }, { key: { host: 'd' }, doc_count: 4 }], after_key: { host: 'd' } },
+  d: { buckets: [{ key: { host: 'e' }, doc_count: 5 }], after_key: { host: 'e' } },
+};
+
+test('composite pages are followed by after_key and merged', async () => {
+  const client = new CompositeClient(compositePages);
+  const response = await client.search('logs', compositeQuery);
+  assert.deepEqual(response.aggregations.by_host.buckets.map(bucket => bucket.key.host), ['a', 'b', 'c', 'd', 'e']);
+  assert.equal(response.aggregations.by_host.after_key, undefined);
+  assert.equal(response.took, 3);
+  assert.deepEqual(client.requests[1], {
+    query: { match_all: {} },
+    size: 0,
+    track_total_hits: false,
+    aggs: { by_host: { composite: { size: 2, sources: compositeQuery.aggs.by_host.composite.sources, after: { host: 'b' } } } },
+  });
+});
+
+test('composite paging can be turned off, and stops at compositeMaxPages', async () => {
+  const single = await new CompositeClient(compositePages).search('logs', compositeQuery, { followAfterKey: false });
+  assert.deepEqual(single.aggregations.by_host.after_key, { host: 'b' });
+  assert.equal(single.aggregations.by_host.buckets.length, 2);
+
+  const client = new CompositeClient(compositePages, { compositeMaxPages: 2 });
+  await assert.rejects(client.search('logs', compositeQuery), /Composite pagination exceeded 2 pages/);
+  assert.equal(client.requests.length, 2);
+});
+
+/**
+ * Client that answers every request with `respond(method, url, body)` and records the requests
+ */
+class StubClient extends SearchClient {
+  constructor(respond, config = {}) {
+    super({ maxRetries: 0, ...config });
+    this.respond = respond;
+    this.requests = [];
+  }
+
+  async sendRequest(method, url, body) {
+    this.requests.push({ method, path: url, body });
+    return this.respond(method, url, body);
+  }
+}
+
+const sqlPages = {
+  c1: { rows: [['b', 2]], cursor: 'c2' },
+  c2: { rows: [['c', 3]] },
+};
+const answerSql = (method, url, body) => {
+  if (url === '/_sql/close') return { succeeded: true };
+  return body.cursor
+    ? structuredClone(sqlPages[body.cursor])
+    : { columns: [{ name: 'host', type: 'keyword' }, { name: 'n', type: 'long' }], rows: [['a', 1]], cursor: 'c1' };
+};
+
+test('SQL cursors are followed and the rows merged', async () => {
+  const client = new StubClient(answerSql);
+  assert.deepEqual(await client.sql('SELECT host, n FROM logs'), {
+    columns: [{ name: 'host', type: 'keyword' }, { name: 'n', type: 'long' }],
+    rows: [['a', 1], ['b', 2], ['c', 3]],
+  });
+  assert.deepEqual(client.requests.map(request => [request.path, request.body]), [
+    ['/_sql?format=json', { query: 'SELECT host, n FROM logs' }],
+    ['/_sql?format=json', { cursor: 'c1' }],
+    ['/_sql?format=json', { cursor: 'c2' }],
+  ]);
+
+  const first = await new StubClient(answerSql).sql({ query: 'SELECT 1', fetch_size: 1 }, { followCursor: false });
+  assert.equal(first.cursor, 'c1');
+});
+
+test('SQL cursor paging stops at sqlMaxPages and closes the cursor', async () => {
+  const client = new StubClient(answerSql, { sqlMaxPages: 2 });
+  await assert.rejects(client.sql('SELECT host, n FROM logs'), /SQL cursor pagination exceeded 2 pages/);
+  assert.deepEqual(client.requests.at(-1), { method: 'POST', path: '/_sql/close', body: { cursor: 'c2' } });
+});
+
+test('msearch sends NDJSON and keeps per-search errors', async () => {
+  const client = new StubClient(() => ({
+    took: 5,
+    responses: [
+      { took: 2, aggregations: { by_host: { buckets: [{ key: 'a', doc_count: 1 }] } } },
+      { status: 404, error: { type: 'index_not_found_exception', reason: 'no such index [old]' } },
+    ],
+  }));
+  const result = await client.msearch([
+    { index: 'logs', query: { size: 0, aggs: { by_host: { terms: { field: 'host' } } } }, label: 'current' },
+    { index: 'old' },
+    { index: 'extra', query: {} },
+  ]);
+
+  assert.deepEqual(client.requests, [{
+    method: 'POST',
+    path: '/_msearch',
+    body: '{"index":"logs"}\n{"size":0,"aggs":{"by_host":{"terms":{"field":"host"}}}}\n{"index":"old"}\n{}\n{"index":"extra"}\n{}\n',
+  }]);
+  assert.deepEqual(result, {
+    took: 5,
+    responses: [
+      { label: 'current', index: 'logs', took: 2, aggregations: { by_host: { buckets: [{ key: 'a', doc_count: 1 }] } } },
+      { label: 'old', index: 'old', status: 404, error: { type: 'index_not_found_exception', reason: 'no such index [old]' } },
+      { label: 'extra', index: 'extra', error: { reason: 'No response for this search' } },
+    ],
+  });
+});
+
+test('msearch pages composite aggregations per search, and a failing search fails alone', async () => {
+  const firstPage = (search = 'logs') => ({ took: 1, aggregations: { by_host: { ...structuredClone(compositePages.null), ...(search === 'logs' ? {} : { after_key: { host: 'd' } }) } } });
+  const respond = (method, url, body) => {
+    if (url === '/_msearch') return { responses: [firstPage('logs'), firstPage('other')] };
+    const { buckets, after_key } = compositePages[body.aggs.by_host.composite.after.host];
+    return { took: 1, aggregations: { by_host: { after_key, buckets: [...buckets] } } };
+  };
+  const searches = [{ index: 'logs', query: compositeQuery }, { index: 'other', query: compositeQuery }];
+
+  const result = await new StubClient(respond).msearch(searches);
+  assert.deepEqual(result.responses[0].aggregations.by_host.buckets.map(bucket => bucket.key.host), ['a', 'b', 'c', 'd', 'e']);
+  assert.deepEqual(result.responses[1].aggregations.by_host.buckets.map(bucket => bucket.key.host), ['a', 'b', 'e']);
+
+  const capped = await new StubClient(respond, { compositeMaxPages: 2 }).msearch(searches);
+  assert.deepEqual(capped.responses[0], { label: 'logs', index: 'logs', error: { reason: 'Composite pagination exceeded 2 pages' } });
+  assert.equal(capped.responses[1].error, undefined);
+});
+
+const docs = Array.from({ length: 5 }, (_, i) => ({ _index: 'logs', _id: `d${i}`, _source: { n: i }, sort: [i] }));
+
+/**
+ * Answers point-in-time searches over `docs`, or scrolls when `pit` is false
+ */
+function scanCluster({ pit = true } = {}) {
+  let scrolled = 0;
+  return (method, url, body) => {
+    if (url.startsWith('/logs/_pit')) {
+      if (!pit) throw Object.assign(new Error('HTTP 405'), { status: 405 });
+      return { id: 'pit-1' };
+    }
+    if (url === '/_search') {
+      const start = body.search_after ? body.search_after[0] + 1 : 0;
+      return { took: 1, pit_id: 'pit-2', hits: { total: body.track_total_hits ? { value: 5, relation: 'eq' } : undefined, hits: docs.slice(start, start + body.size) } };
+    }
+    if (url.startsWith('/logs/_search?scroll=')) {
+      scrolled = body.size;
+      return { took: 1, _scroll_id: 's1', hits: { total: { value: 5, relation: 'eq' }, hits: docs.slice(0, body.size) } };
+    }
+    if (url === '/_search/scroll' && method === 'POST') {
+      const size = scrolled;
+      const hits = docs.slice(scrolled, scrolled + size);
+      scrolled += size;
+      return { took: 1, _scroll_id: 's2', hits: { hits } };
+    }
+    return { succeeded: true };
+  };
+}
+
+const scan = async (client, options) => {
+  const pages = [];
+  for await (const page of client.scanHits('logs', { query: { match_all: {} }, size: 100, aggs: {} }, options)) {
+    pages.push(page);
+  }
+  return pages;
+};
+
+test('scanHits pages through a point-in-time with search_after and closes it', async () => {
+  const client = new StubClient(scanCluster());
+  const pages = await scan(client, { pageSize: 2 });
+  assert.deepEqual(pages.map(page => page.hits.map(hit => hit._id)), [['d0', 'd1'], ['d2', 'd3'], ['d4']]);
+  assert.deepEqual(pages.map(page => page.method), ['pit', 'pit', 'pit']);
+  assert.deepEqual(pages[0].total, { value: 5, relation: 'eq' });
+  assert.equal(pages[1].total, undefined);
+
+  const searches = client.requests.filter(request => request.path === '/_search').map(request => request.body);
+  assert.deepEqual(searches[0], { query: { match_all: {} }, size: 2, pit: { id: 'pit-1', keep_alive: '1m' }, sort: ['_shard_doc'], track_total_hits: true });
+  assert.deepEqual(searches[1].search_after, [1]);
+  assert.equal(searches[1].pit.id, 'pit-2');
+  assert.deepEqual(client.requests.at(-1), { method: 'DELETE', path: '/_pit', body: { id: 'pit-2' } });
+});
+
+test('scanHits falls back to a scroll when no point-in-time can be opened', async () => {
+  const client = new StubClient(scanCluster({ pit: false }));
+  const pages = await scan(client, { pageSize: 2, maxDocs: 3 });
+  assert.deepEqual(pages.map(page => page.hits.map(hit => hit._id)), [['d0', 'd1'], ['d2']]);
+  assert.deepEqual(pages.map(page => page.method), ['scroll', 'scroll']);
+  assert.deepEqual(client.requests.map(request => `${request.method} ${request.path}`), [
+    'POST /logs/_pit?keep_alive=1m',
+    'POST /logs/_search?scroll=1m',
+    'POST /_search/scroll',
+    'DELETE /_search/scroll',
+  ]);
+  assert.deepEqual(client.requests.at(-1).body, { scroll_id: 's2' });
+});
+
+test('exportHits writes a search response file and reports truncation', async () => {
+  for (const pit of [true, false]) {
+    const outputPath = path.join(dir, `export-${pit}.json`);
+    const client = new StubClient(scanCluster({ pit }));
+    assert.deepEqual(await client.exportHits('logs', {}, outputPath, { pageSize: 2 }), {
+      hits: 5, total: { value: 5, relation: 'eq' }, took: 3, method: pit ? 'pit' : 'scroll', truncated: false,
+    });
+    const exported = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+    assert.deepEqual(exported.hits.hits, docs);
+    assert.deepEqual(exported.hits.total, { value: 5, relation: 'eq' });
+  }
+
+  const outputPath = path.join(dir, 'export-capped.json');
+  const capped = await new StubClient(scanCluster()).exportHits('logs', {}, outputPath, { pageSize: 2, maxDocs: 3 });
+  assert.equal(capped.hits, 3);
+  assert.equal(capped.truncated, true);
+  assert.equal(JSON.parse(fs.readFileSync(outputPath, 'utf8')).hits.hits.length, 3);
+});
+
+test('exportHits removes the file when the export fails', async () => {
+  const outputPath = path.join(dir, 'export-failed.json');
+  const client = new StubClient((method, url) => {
+    if (url === '/_search') throw Object.assign(new Error('HTTP 500'), { status: 500 });
+    return { id: 'pit-1' };
+  });
+  await assert.rejects(client.exportHits('logs', {}, outputPath), /HTTP 500/);
+  assert.equal(fs.existsSync(outputPath), false);
+  assert.deepEqual(client.requests.at(-1), { method: 'DELETE', path: '/_pit', body: { id: 'pit-1' } });
+});
+
+test('getFields flattens field_caps, marking conflicts and skipping containers and metadata', async () => {
+  const client = new StubClient(() => ({
+    indices: ['logs-1', 'logs-2'],
+    fields: {
+      _id: { _id: { type: '_id', searchable: true, aggregatable: false } },
+      user: { object: { type: 'object', searchable: false, aggregatable: false } },
+      comments: { nested: { type: 'nested', searchable: false, aggregatable: false } },
+      'user.name': { keyword: { type: 'keyword', searchable: true, aggregatable: true } },
+      message: { text: { type: 'text', searchable: true, aggregatable: false } },
+      status: {
+        long: { type: 'long', searchable: true, aggregatable: true, indices: ['logs-1'] },
+        keyword: { type: 'keyword', searchable: true, aggregatable: true, indices: ['logs-2'] },
+      },
+      bytes: {
+        long: { type: 'long', searchable: true, aggregatable: true, indices: ['logs-1'] },
+        unmapped: { type: 'unmapped', searchable: false, aggregatable: false, indices: ['logs-2'] },
+      },
+      gone: { unmapped: { type: 'unmapped', searchable: false, aggregatable: false } },
+    },
+  }));
+
+  assert.deepEqual(await client.getFields('logs-*'), [
+    { name: 'bytes', type: 'long', types: ['long'], aggregatable: true, searchable: true },
+    { name: 'message', type: 'text', types: ['text'], aggregatable: false, searchable: true },
+    { name: 'status', type: 'conflict', types: ['long', 'keyword'], aggregatable: true, searchable: true },
+    { name: 'user.name', type: 'keyword', types: ['keyword'], aggregatable: true, searchable: true },
+  ]);
+  assert.deepEqual(client.requests, [{ method: 'GET', path: '/logs-*/_field_caps?fields=*', body: undefined }]);
+});
+
+test('indices, aliases and data streams are listed without dot-prefixed entries', async () => {
+  const client = new StubClient((method, url) => {
+    if (url.startsWith('/_cat/indices')) {
+      return [
+        { index: 'logs-b', health: 'green', status: 'open', 'docs.count': '10', 'store.size': '1kb' },
+        { index: '.kibana', health: 'green', status: 'open', 'docs.count': '3', 'store.size': '2kb' },
+        { index: 'logs-a', health: 'red', status: 'close', 'docs.count': null, 'store.size': null },
+      ];
+    }
+    if (url.startsWith('/_cat/aliases')) {
+      return [{ alias: 'logs', index: 'logs-b' }, { alias: '.security', index: '.security-7' }, { alias: 'logs', index: 'logs-a' }];
+    }
+    return { data_streams: [{ name: 'metrics', status: 'GREEN', template: 'metrics', indices: [{}, {}] }, { name: '.fleet', indices: [] }] };
+  });
+
+  assert.deepEqual(await client.getIndices(), [
+    { name: 'logs-a', health: 'red', status: 'close', docsCount: null, storeSize: null },
+    { name: 'logs-b', health: 'green', status: 'open', docsCount: 10, storeSize: '1kb' },
+  ]);
+  assert.equal((await client.getIndices({ hidden: true })).length, 3);
+  assert.match(client.requests.at(-1).path, /&expand_wildcards=all$/);
+  assert.deepEqual(await client.getAliases(), [{ name: 'logs', indices: ['logs-b', 'logs-a'] }]);
+  assert.deepEqual(await client.getDataStreams(), [{ name: 'metrics', status: 'GREEN', template: 'metrics', indices: 2 }]);
+  assert.deepEqual(await client.getDataViews(), []);
+});
+
+test('Kibana data views fall back to index-pattern saved objects on older Kibana', async () => {
+  const client = new KibanaClient({ envCredentials: false });
+  client.kibanaRequest = async (method, url) => {
+    if (url === '/api/data_views') throw Object.assign(new Error('HTTP 404'), { status: 404 });
+    return { saved_objects: [{ id: '2', attributes: { title: 'metrics-*' } }, { id: '1', attributes: { title: 'logs-*', name: 'Logs' } }] };
+  };
+  assert.deepEqual(await client.getDataViews(), [
+    { id: '1', name: 'Logs', title: 'logs-*' },
+    { id: '2', name: 'metrics-*', title: 'metrics-*' },
+  ]);
+
+  client.kibanaRequest = async () => ({ data_view: [{ id: '3', title: 'web-*', name: 'Web' }] });
+  assert.deepEqual(await client.getDataViews(), [{ id: '3', name: 'Web', title: 'web-*' }]);
+});
@@ -0,0 +1,294 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { esToTable, tableToNDJSON, streamConvertFile, readHitIndices } from '../index.js';
+
+// Streamed conversions must give the same table as in-memory ones: whether a file
+// streams only depends on its size (or the `stream` flag)
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'es2tabular-stream-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let fileCount = 0;
+async function convertBothWays(esOutput, options = {}) {
+  const inputPath = path.join(dir, `input${++fileCount}.json`);
+  const outputPath = path.join(dir, `output${fileCount}.ndjson`);
+  fs.writeFileSync(inputPath, JSON.stringify(esOutput));
+  await streamConvertFile(inputPath, outputPath, { ...options, format: 'ndjson' });
+  return {
+    streamed: fs.readFileSync(outputPath, 'utf8'),
+    inMemory: tableToNDJSON(esToTable(esOutput, options), options),
+  };
+}
+
+const metrics = { avg_price: { value: 1.5 }, stats_price: { count: 2, min: 1, max: 2, avg: 1.5, sum: 3 } };
+
+const cases = {
+  terms: {
+    esOutput: {
+      aggregations: {
+        by_host: {
+          doc_count_error_upper_bound: 0,
+          sum_other_doc_count: 7,
+          buckets: [
+            { key: 'a', doc_count: 3, ...metrics },
+            { key: 'b', doc_count: 2, ...metrics },
+          ],
+        },
+      },
+    },
+  },
+  'terms with sub-aggregations and rollup': {
+    esOutput: {
+      hits: { total: { value: 12, relation: 'eq' }, hits: [] },
+      aggregations: {
+        by_host: {
+          sum_other_doc_count: 0,
+          buckets: [
+            { key: 'a', doc_count: 3, by_status: { sum_other_doc_count: 1, buckets: [{ key: 200, doc_count: 2, ...metrics }] } },
+            { key: 'b', doc_count: 9, by_status: { sum_other_doc_count: 0, buckets: [{ key: 500, doc_count: 9, ...metrics }] } },
+          ],
+        },
+      },
+    },
+    options: { rollup: true },
+  },
+  multi_terms: {
+    esOutput: {
+      aggregations: {
+        mt: {
+          doc_count_error_upper_bound: 0,
+          sum_other_doc_count: 4,
+          buckets: [
+            { key: ['a', 200], key_as_string: 'a|200', doc_count: 3 },
+            { key: ['b', 404], key_as_string: 'b|404', doc_count: 1 },
+          ],
+        },
+      },
+    },
+  },
+  'multi_terms with its definition': {
+    esOutput: {
+      aggregations: {
+        mt: { sum_other_doc_count: 4, buckets: [{ key: ['a', 200], key_as_string: 'a|200', doc_count: 3 }] },
+      },
+    },
+    options: { query: { aggs: { mt: { multi_terms: { terms: [{ field: 'host' }, { field: 'status' }] } } } } },
+  },
+  composite: {
+    esOutput: {
+      aggregations: {
+        comp: {
+          after_key: { host: 'b', day: 2 },
+          buckets: [
+            { key: { host: 'a', day: 1 }, doc_count: 1 },
+            { key: { host: 'b', day: 2 }, doc_count: 2 },
+          ],
+        },
+      },
+    },
+  },
+  range: {
+    esOutput: {
+      aggregations: {
+        price_ranges: {
+          buckets: [
+            { key: '*-10.0', to: 10, doc_count: 1 },
+            { key: '10.0-*', from: 10, doc_count: 2 },
+          ],
+        },
+      },
+    },
+  },
+  date_range: {
+    esOutput: {
+      aggregations: {
+        periods: {
+          buckets: [
+            { key: 'old', to: 1700000000000, to_as_string: '2023-11-14', doc_count: 4 },
+            { key: 'new', from: 1700000000000, from_as_string: '2023-11-14', doc_count: 5 },
+          ],
+        },
+      },
+    },
+  },
+  date_histogram: {
+    esOutput: {
+      aggregations: {
+        by_day: {
+          buckets: [
+            { key: 1700000000000, key_as_string: '2023-11-14', doc_count: 1, ...metrics },
+            { key: 1700086400000, key_as_string: '2023-11-15', doc_count: 0, avg_price: { value: null } },
+          ],
+        },
+      },
+    },
+  },
+  auto_date_histogram: {
+    esOutput: {
+      aggregations: {
+        auto: { interval: '1d', buckets: [{ key: 1700000000000, key_as_string: '2023-11-14', doc_count: 1 }] },
+      },
+    },
+  },
+  significant_terms: {
+    esOutput: {
+      aggregations: {
+        sig: { doc_count: 10, bg_count: 100, buckets: [{ key: 'x', doc_count: 5, score: 0.8, bg_count: 6 }] },
+      },
+    },
+  },
+  geohash_grid: {
+    esOutput: {
+      aggregations: { cells: { buckets: [{ key: 'u33d', doc_count: 2 }, { key: 'u33e', doc_count: 1 }] } },
+    },
+    options: { query: { aggs: { cells: { geohash_grid: { field: 'location', precision: 4 } } } } },
+  },
+  geotile_grid: {
+    esOutput: {
+      aggregations: { tiles: { buckets: [{ key: '8/131/84', doc_count: 2 }] } },
+    },
+    options: { query: { aggs: { tiles: { geotile_grid: { field: 'location', precision: 8 } } } } },
+  },
+  adjacency_matrix: {
+    esOutput: {
+      aggregations: {
+        matrix: { buckets: [{ key: 'A', doc_count: 2 }, { key: 'A&B', doc_count: 1 }, { key: 'B', doc_count: 3 }] },
+      },
+    },
+    options: { query: { aggs: { matrix: { adjacency_matrix: { filters: { A: {}, B: {} } } } } } },
+  },
+  'geo grid keys without a definition': {
+    esOutput: {
+      aggregations: { cells: { buckets: [{ key: 'u33d', doc_count: 2 }, { key: '8/131/84', doc_count: 1 }] } },
+    },
+  },
+  'adjacency_matrix keys without a definition': {
+    esOutput: {
+      aggregations: { matrix: { buckets: [{ key: 'A', doc_count: 2 }, { key: 'A&B', doc_count: 1 }] } },
+    },
+  },
+  'top-level sibling pipeline metrics': {
+    esOutput: {
+      aggregations: {
+        by_day: { buckets: [{ key: 1, doc_count: 1, total: { value: 5 } }, { key: 2, doc_count: 2, total: { value: 7 } }] },
+        max_total: { value: 7, keys: ['2'] },
+      },
+    },
+  },
+  'plain metrics next to a bucket aggregation': {
+    esOutput: {
+      aggregations: {
+        by_day: { buckets: [{ key: 1, doc_count: 1 }, { key: 2, doc_count: 2 }] },
+        avg_total: { value: 6 },
+        total_stats: { count: 2, min: 5, max: 7, avg: 6, sum: 12 },
+      },
+    },
+  },
+  'sibling pipeline metrics from their definition': {
+    esOutput: {
+      aggregations: {
+        by_day: { buckets: [{ key: 1, doc_count: 1 }, { key: 2, doc_count: 2 }] },
+        total_stats: { count: 2, min: 5, max: 7, avg: 6, sum: 12 },
+      },
+    },
+    options: { query: { aggs: { by_day: { histogram: { field: 'day', interval: 1 } }, total_stats: { stats_bucket: { buckets_path: 'by_day>_count' } } } } },
+  },
+  'sibling pipeline metrics as rows': {
+    esOutput: {
+      aggregations: {
+        by_day: { buckets: [{ key: 1, doc_count: 1 }] },
+        max_total: { value: 7, keys: ['1'] },
+      },
+    },
+    options: { siblingMetrics: 'rows' },
+  },
+  'all aggregations': {
+    esOutput: {
+      aggregations: {
+        by_host: { sum_other_doc_count: 1, buckets: [{ key: 'a', doc_count: 1 }] },
+        by_status: { sum_other_doc_count: 0, buckets: [{ key: 200, doc_count: 4 }] },
+      },
+    },
+    options: { allAggregations: true },
+  },
+  'all aggregations with top-level metrics': {
+    esOutput: {
+      aggregations: {
+        by_host: { sum_other_doc_count: 0, buckets: [{ key: 'a', doc_count: 1 }] },
+        avg_price: { value: 9.5 },
+        max_host: { value: 1, keys: ['a'] },
+      },
+    },
+    options: { allAggregations: true, siblingMetrics: 'rows' },
+  },
+  'keyed filters': {
+    esOutput: {
+      aggregations: { kinds: { buckets: { errors: { doc_count: 2 }, warnings: { doc_count: 3 } } } },
+    },
+  },
+  'raw hits': {
+    esOutput: {
+      hits: {
+        total: { value: 2, relation: 'eq' },
+        hits: [
+          { _index: 'logs', _id: '1', _source: { host: 'a', nested: { x: 1 } } },
+          { _index: 'logs', _id: '2', _source: { status: 200 } },
+        ],
+      },
+    },
+  },
+  'raw hits, flattened with metadata': {
+    esOutput: {
+      hits: {
+        hits: [{ _index: 'logs', _id: '1', _score: 1, _source: { host: 'a', nested: { x: 1 } } }],
+      },
+    },
+    options: { flatten: true, hitMetadata: true },
+  },
+  'ES|QL': {
+    esOutput: { columns: [{ name: 'host', type: 'keyword' }, { name: 'count', type: 'long' }], values: [['a', 1], ['b', 2]] },
+  },
+  'column selection': {
+    esOutput: {
+      aggregations: { by_host: { sum_other_doc_count: 2, buckets: [{ key: 'a', doc_count: 1, ...metrics }] } },
+    },
+    options: { exclude: ['stats_price_sum'], rename: { by_host: 'host' }, columnOrder: ['doc_count'], fillValue: 0 },
+  },
+};
+
+for (const [name, { esOutput, options }] of Object.entries(cases)) {
+  test(`streamed and in-memory conversion agree: ${name}`, async () => {
+    const { streamed, inMemory } = await convertBothWays(esOutput, options);
+    assert.equal(streamed, inMemory);
+  });
+}
+
+test('the multi_terms _other_ row uses the first field column', async () => {
+  const { streamed } = await convertBothWays(cases.multi_terms.esOutput);
+  const rows = streamed.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(Object.keys(rows[0]), ['mt_0', 'mt_1', 'doc_count']);
+  assert.deepEqual(rows[2], { mt_0: '_other_', mt_1: null, doc_count: 4 });
+});
+
+test('readHitIndices lists the indices of raw hits', async () => {
+  const inputPath = path.join(dir, 'indices.json');
+  fs.writeFileSync(inputPath, JSON.stringify({
+    hits: { hits: [{ _index: 'logs-1', _id: '1' }, { _index: 'logs-2', _id: '2' }, { _index: 'logs-1', _id: '3' }] },
+  }));
+  assert.deepEqual(await readHitIndices(inputPath), ['logs-1', 'logs-2']);
+});
+
+test('streaming rejects options that need every row at once', async () => {
+  const inputPath = path.join(dir, 'siblings.json');
+  fs.writeFileSync(inputPath, JSON.stringify(cases['all aggregations'].esOutput));
+  for (const siblings of ['cross', 'stack']) {
+    await assert.rejects(
+      streamConvertFile(inputPath, path.join(dir, 'siblings.csv'), { allAggregations: true, siblings }),
+      new RegExp(`allAggregations with siblings "${siblings}" needs every row at once`)
+    );
+  }
+  await assert.rejects(streamConvertFile(inputPath, path.join(dir, 'pivot.csv'), { pivot: { column: 'by_host' } }), /pivot needs every row/);
+});